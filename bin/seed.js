@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+'use strict'
+
+const {main} = require('../lib/cli')
+
+process.exitCode = main(process.argv.slice(2))
@@ -0,0 +1,632 @@
+/// <reference types="node" />
+
+import {EventEmitter} from 'events'
+
+/**
+ * Pattern: `/^[a-zA-Z0-9]+$/`.
+ */
+export type ConfigurationIdentity = string
+
+/**
+ * Unsigned integer, less than or equal 0o7777. Permission bits of a file must
+ * be a subset of this one.
+ */
+export type FilePermission = number
+
+/**
+ * Limits of permission bits. A file is allowed if it does not have any of
+ * forbidden bits, and permission bits of each class are a subset of its
+ * limit.
+ */
+export interface PermissionPolicy {
+    /**
+     * Default is `0`.
+     */
+    forbidden?: number
+    /**
+     * Limits from `0` to `0o7`, default is `0o7`.
+     */
+    user?: number
+    group?: number
+    other?: number
+}
+
+/**
+ * Parse content of configuration file. If content is invalid then throws an
+ * error which has optional attributes `line` and `column`.
+ */
+export type Parser = (data: string) => any
+
+export interface EnvironmentOptions {
+    /**
+     * Pattern: `/^[a-zA-Z0-9_]+$/`. Only variables which have name starts
+     * with `{prefix}_` are used.
+     */
+    prefix: string
+    /**
+     * Separator between attribute names. Default is `__`.
+     */
+    separator?: string
+}
+
+export interface Options {
+    /**
+     * Identity of configuration, it is used for detecting paths to
+     * configuration files.
+     */
+    identity: ConfigurationIdentity
+    /**
+     * Override path to configuration file, ignore attribute `identity`.
+     */
+    filePath?: string
+    /**
+     * JSON schema that specifies configuration. Strings of keyword `unit`
+     * which is `duration` or `bytes` are converted to milliseconds and bytes
+     * after validation. Keyword `type` next to keyword `unit` must accept
+     * numbers, and keyword `unit` is not supported under `$ref`.
+     */
+    schema?: object
+    /**
+     * Key-value pairs for default values, key follows `set()` from `lodash`.
+     */
+    defaultValues?: {[key: string]: any}
+    /**
+     * Default is `0o600`.
+     */
+    filePermission?: FilePermission | PermissionPolicy
+    /**
+     * Change permission of files which are not allowed by attribute
+     * `filePermission` instead of throwing error.
+     */
+    fixPermission?: boolean
+    /**
+     * Load all of existed standard configuration files then deep merge them.
+     */
+    layered?: boolean
+    /**
+     * How to merge arrays in layered mode. Default is `replace`.
+     */
+    arrayMerge?: 'replace' | 'concat'
+    /**
+     * Override attributes by environment variables.
+     */
+    env?: EnvironmentOptions
+    /**
+     * Command line arguments, for example `process.argv.slice(2)`.
+     */
+    argv?: string[]
+    /**
+     * Parsers by file extension, for example `{'.conf': parseConf}`.
+     */
+    parsers?: {[extension: string]: Parser}
+    /**
+     * Report all of violations instead of the first one.
+     */
+    allErrors?: boolean
+    /**
+     * Pattern: `/^[a-zA-Z0-9_-]+$/`. Default is environment variable
+     * `NODE_ENV`, null means no profile.
+     */
+    profile?: string | null
+    /**
+     * Deep freeze configuration, so it can not be modified.
+     */
+    freeze?: boolean
+    /**
+     * Return `ConfigurationAccessor` instead of configuration.
+     */
+    accessor?: boolean
+    /**
+     * Check owner of configuration files and directories which contain
+     * them. Checks are skipped if it is undefined.
+     */
+    trust?: TrustOptions
+    /**
+     * Return `LoadingResult` instead of configuration.
+     */
+    metadata?: boolean
+    /**
+     * Templates of paths to configuration files, ordered by priority, the
+     * first one is highest. Placeholders are `{identity}`, `{fileName}`,
+     * `{xdgConfigHome}` and `{xdgConfigDirs}`.
+     */
+    searchPaths?: string[]
+    /**
+     * Name of configuration files for placeholder `{fileName}`, default is
+     * `config`. If it has no extension then standard extensions are tried.
+     */
+    fileName?: string
+    /**
+     * Load fragments from drop-in directory of each configuration file, for
+     * example `/etc/foo/config.d` for `/etc/foo/config.json`. They are merged
+     * by lexical order of file names.
+     */
+    dropIns?: boolean
+    /**
+     * Return `LoadingResult` which records source of each value, it implies
+     * attribute `metadata`.
+     */
+    provenance?: boolean
+    /**
+     * Upgrade configuration files from older versions before validation.
+     */
+    migration?: MigrationOptions
+    /**
+     * Key to decrypt configuration files which have extension `.enc`, for
+     * example `config.json.enc`. If it is specified then standard encrypted
+     * files are tried before plain files in each location.
+     */
+    encryption?: EncryptionOptions
+}
+
+/**
+ * Key is 32 bytes which is encoded as 64 hex digits or base64. Exactly one of
+ * attributes is specified.
+ */
+export type EncryptionOptions = {keyEnv: string} | {keyFile: string}
+
+/**
+ * `Options` for `createLoader()` with additional attributes for `ajv`.
+ * Attribute `identity` is optional, it is required by `load()`,
+ * `loadAsync()` and `watch()` of the loader, from this options or their
+ * options.
+ */
+export interface LoaderOptions extends Omit<Options, 'identity'> {
+    identity?: ConfigurationIdentity
+    /**
+     * Options for `new Ajv()`, attribute `allErrors` is from `Options`.
+     * Default of attribute `useDefaults` is true.
+     */
+    ajvOptions?: {[key: string]: any}
+    /**
+     * Formats by name for `ajv.addFormat()`.
+     */
+    formats?: {[name: string]: string | RegExp | Function | object}
+    /**
+     * Keyword definitions for `ajv.addKeyword()`.
+     */
+    keywords?: Array<{keyword: string, [key: string]: any}>
+}
+
+/**
+ * Options which override options from `createLoader()` in each call.
+ */
+export type LoaderCallOptions = Partial<Omit<Options, 'schema' | 'allErrors'>>
+
+/**
+ * Schema is compiled once and reused by each call. Type `T` is what `load()`
+ * returns, for example `LoadingResult<Config>` if option `metadata` is true.
+ */
+export interface ConfigurationLoader<T = any> {
+    load(options?: LoaderCallOptions): T
+    loadAsync(options?: LoaderCallOptions): Promise<T>
+    watch(
+        options?: LoaderCallOptions,
+        watchOptions?: WatchOptions
+    ): ConfigurationWatcher<T>
+    /**
+     * Return a valid copy of configuration, default values from schema are
+     * filled.
+     */
+    validate(config: any): any
+}
+
+/**
+ * Upgrade data from a version to the next one. Data could be modified.
+ */
+export type Migration = (data: any) => object
+
+export interface MigrationOptions {
+    /**
+     * Current version of configuration, a positive integer.
+     */
+    version: number
+    /**
+     * Function of key `n` upgrades data from version `n` to `n + 1`.
+     */
+    migrations?: {[version: number]: Migration}
+    /**
+     * Name of attribute which stores version in configuration files, default
+     * is `version`. A file without it is version `1`.
+     */
+    attribute?: string
+    /**
+     * Write upgraded JSON files back after configuration is valid, comments
+     * of attributes which are not renamed are kept.
+     */
+    writeBack?: boolean
+}
+
+export interface PermissionFix {
+    filePath: string
+    from: number
+    to: number
+}
+
+export interface Metadata {
+    /**
+     * Paths to loaded configuration files, ordered by priority, the last one
+     * is highest.
+     */
+    filePaths: string[]
+    permissionFixes: PermissionFix[]
+    /**
+     * Available if option `provenance` is true. Sources by JSON pointer to
+     * each leaf of configuration, for example `/db/port`. Leaves are values
+     * which are not non-empty objects, so an array is a leaf.
+     */
+    provenance?: {[pointer: string]: Provenance}
+}
+
+/**
+ * Where a value comes from. Attributes `line` and `column` are available if
+ * the value is from a JSON file, attribute `name` is name of environment
+ * variable or command line flag.
+ */
+export interface Provenance {
+    source: 'file' | 'defaultValues' | 'schema' | 'env' | 'argv'
+    filePath?: string
+    /**
+     * Start from 1.
+     */
+    line?: number
+    /**
+     * Start from 0.
+     */
+    column?: number
+    name?: string
+}
+
+export interface LoadingResult<T = any> {
+    config: T
+    metadata: Metadata
+}
+
+export interface ExplainedLoadingResult<T = any> extends LoadingResult<T> {
+    metadata: Metadata & {provenance: {[pointer: string]: Provenance}}
+    /**
+     * Source of a leaf value, undefined if the path is not a leaf of
+     * configuration.
+     */
+    explain(path: AttributePath): Provenance | undefined
+}
+
+export interface TrustOptions {
+    /**
+     * User IDs which are allowed to own configuration files. Default is
+     * process owner and root.
+     */
+    owners?: number[]
+}
+
+export type AttributePath = string | string[]
+
+export interface WatchOptions {
+    /**
+     * How often configuration files are polled, in milliseconds. Default is
+     * `1000`.
+     */
+    interval?: number
+}
+
+export interface FileSelection {
+    /**
+     * Paths to configuration files which are loaded, ordered by priority,
+     * the last one is highest.
+     */
+    filePaths: string[]
+    /**
+     * Paths to standard configuration files which are not loaded, ordered by
+     * priority, the first one is highest.
+     */
+    skippedFilePaths: string[]
+}
+
+/**
+ * Violation from validation. Attributes `filePath`, `line` and `column` are
+ * available if the value is from a JSON file.
+ */
+export interface Violation {
+    instancePath: string
+    schemaPath: string
+    keyword: string
+    params: {[key: string]: any}
+    message: string
+    filePath?: string
+    /**
+     * Start from 1.
+     */
+    line?: number
+    /**
+     * Start from 0.
+     */
+    column?: number
+}
+
+/**
+ * Codes of errors, they are stable between versions while messages could be
+ * changed.
+ */
+export type ErrorCode =
+    | 'E_LOADING'
+    | 'E_NOT_FOUND'
+    | 'E_PERMISSION'
+    | 'E_PARSE'
+    | 'E_SCHEMA'
+    | 'E_INVALID_OPTION'
+    | 'E_DECRYPTION'
+    | 'E_MIGRATION'
+    | 'E_IO'
+    | 'E_UNSUPPORTED_FILE'
+    | 'E_ATTRIBUTE'
+
+export const ERROR_CODES: {
+    readonly LOADING: 'E_LOADING'
+    readonly NOT_FOUND: 'E_NOT_FOUND'
+    readonly PERMISSION: 'E_PERMISSION'
+    readonly PARSE: 'E_PARSE'
+    readonly SCHEMA: 'E_SCHEMA'
+    readonly INVALID_OPTION: 'E_INVALID_OPTION'
+    readonly DECRYPTION: 'E_DECRYPTION'
+    readonly MIGRATION: 'E_MIGRATION'
+    readonly IO: 'E_IO'
+    readonly UNSUPPORTED_FILE: 'E_UNSUPPORTED_FILE'
+    readonly ATTRIBUTE: 'E_ATTRIBUTE'
+}
+
+export interface LoadingErrorOptions {
+    cause?: unknown
+}
+
+/**
+ * Result of `LoadingError.toJSON()`.
+ */
+export interface SerializedLoadingError {
+    name: 'LoadingError'
+    code: ErrorCode
+    message: string
+    filePath: string | undefined
+    labels: {[key: string]: any}
+    /**
+     * Cause of `ParseError` has `line` and `column` instead of `message`.
+     */
+    cause: SerializedCause | undefined
+}
+
+/**
+ * Attribute `cause` of `SerializedLoadingError`.
+ */
+export interface SerializedCause {
+    name?: string
+    message?: string
+    code?: string
+    line?: number
+    column?: number
+}
+
+/**
+ * Errors from this package are instances of its subclasses, attribute `name`
+ * is `LoadingError` for all of them.
+ */
+export class LoadingError extends Error {
+    constructor(
+        message: string,
+        filePath?: string,
+        labels?: object,
+        options?: LoadingErrorOptions
+    )
+    /**
+     * Code of instances of this class.
+     */
+    static readonly code: ErrorCode
+    name: 'LoadingError'
+    code: ErrorCode
+    /**
+     * It is undefined if the error belongs to merged configuration in
+     * layered mode.
+     */
+    filePath: string | undefined
+    labels: {[key: string]: any, errors?: Violation[]}
+    /**
+     * The underlying error, for example from `fs`, a parser or `ajv`.
+     */
+    cause?: unknown
+    /**
+     * Human readable, multi-line description of this error.
+     */
+    format(): string
+    /**
+     * Plain object for structured logs, stack traces are not included.
+     */
+    toJSON(): SerializedLoadingError
+}
+
+export class NotFoundError extends LoadingError {
+    code: 'E_NOT_FOUND'
+}
+
+export class PermissionError extends LoadingError {
+    code: 'E_PERMISSION'
+}
+
+export class ParseError extends LoadingError {
+    code: 'E_PARSE'
+}
+
+export class SchemaError extends LoadingError {
+    code: 'E_SCHEMA'
+}
+
+export class OptionError extends LoadingError {
+    code: 'E_INVALID_OPTION'
+}
+
+export class DecryptionError extends LoadingError {
+    code: 'E_DECRYPTION'
+}
+
+export class MigrationError extends LoadingError {
+    code: 'E_MIGRATION'
+}
+
+export class FileSystemError extends LoadingError {
+    code: 'E_IO'
+}
+
+export class UnsupportedFileError extends LoadingError {
+    code: 'E_UNSUPPORTED_FILE'
+}
+
+export class AttributeError extends LoadingError {
+    code: 'E_ATTRIBUTE'
+}
+
+export class ConfigurationWatcher<T = any> extends EventEmitter {
+    readonly config: T
+    readonly filePaths: string[]
+    close(): void
+    on(event: 'change', listener: (config: T) => void): this
+    on(event: 'error', listener: (error: LoadingError) => void): this
+    on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+/**
+ * Read attributes of configuration by paths which are declared by schema.
+ * Methods throw `LoadingError` if a path is not declared.
+ */
+export class ConfigurationAccessor<T = any> {
+    constructor(config: T, schema: object)
+    readonly value: T
+    get(path: AttributePath): any
+    has(path: AttributePath): boolean
+    require(path: AttributePath): any
+    toJSON(): T
+    /**
+     * Configuration which is masked by `redact()`.
+     */
+    toSafeJSON(): any
+}
+
+/**
+ * Load and validate configuration file.
+ */
+export function load<T = any>(
+    options: Options & {accessor: true, provenance: true}
+): ExplainedLoadingResult<ConfigurationAccessor<T>>
+export function load<T = any>(
+    options: Options & {provenance: true}
+): ExplainedLoadingResult<T>
+export function load<T = any>(
+    options: Options & {accessor: true, metadata: true}
+): LoadingResult<ConfigurationAccessor<T>>
+export function load<T = any>(
+    options: Options & {metadata: true}
+): LoadingResult<T>
+export function load<T = any>(
+    options: Options & {accessor: true}
+): ConfigurationAccessor<T>
+export function load<T = any>(options: Options): T
+
+/**
+ * Load and validate configuration file without blocking the event loop on
+ * file system operations.
+ */
+export function loadAsync<T = any>(
+    options: Options & {accessor: true, provenance: true}
+): Promise<ExplainedLoadingResult<ConfigurationAccessor<T>>>
+export function loadAsync<T = any>(
+    options: Options & {provenance: true}
+): Promise<ExplainedLoadingResult<T>>
+export function loadAsync<T = any>(
+    options: Options & {accessor: true, metadata: true}
+): Promise<LoadingResult<ConfigurationAccessor<T>>>
+export function loadAsync<T = any>(
+    options: Options & {metadata: true}
+): Promise<LoadingResult<T>>
+export function loadAsync<T = any>(
+    options: Options & {accessor: true}
+): Promise<ConfigurationAccessor<T>>
+export function loadAsync<T = any>(options: Options): Promise<T>
+
+/**
+ * Load and validate configuration file, then reload it each time the file
+ * is changed.
+ */
+export function watch<T = any>(
+    options: Options & {accessor: true, provenance: true},
+    watchOptions?: WatchOptions
+): ConfigurationWatcher<ExplainedLoadingResult<ConfigurationAccessor<T>>>
+export function watch<T = any>(
+    options: Options & {provenance: true},
+    watchOptions?: WatchOptions
+): ConfigurationWatcher<ExplainedLoadingResult<T>>
+export function watch<T = any>(
+    options: Options & {accessor: true, metadata: true},
+    watchOptions?: WatchOptions
+): ConfigurationWatcher<LoadingResult<ConfigurationAccessor<T>>>
+export function watch<T = any>(
+    options: Options & {metadata: true},
+    watchOptions?: WatchOptions
+): ConfigurationWatcher<LoadingResult<T>>
+export function watch<T = any>(
+    options: Options & {accessor: true},
+    watchOptions?: WatchOptions
+): ConfigurationWatcher<ConfigurationAccessor<T>>
+export function watch<T = any>(
+    options: Options,
+    watchOptions?: WatchOptions
+): ConfigurationWatcher<T>
+
+/**
+ * Find configuration files which are loaded by `load()` without loading
+ * them.
+ */
+export function which(options: Options): FileSelection
+
+/**
+ * Validate configuration then write it to attribute `filePath` of options,
+ * or the highest priority standard configuration file. Comments are kept and
+ * the file is written atomically. Returns path to the file.
+ */
+export function save(config: any, options: Options): string
+export function saveAsync(config: any, options: Options): Promise<string>
+
+/**
+ * Create a loader which compiles schema once, then reuses it for each
+ * loading. It supports custom formats and keywords of `ajv`.
+ */
+export function createLoader<T = any>(
+    options: LoaderOptions
+): ConfigurationLoader<T>
+
+/**
+ * Encrypt content of a configuration file by AES-256-GCM.
+ */
+export function encrypt(
+    content: string | Buffer,
+    encryption: EncryptionOptions
+): Buffer
+
+/**
+ * Decrypt content of an encrypted configuration file from `encrypt()`.
+ */
+export function decrypt(data: Buffer, encryption: EncryptionOptions): string
+
+/**
+ * Generate content of a configuration file with comments from a schema.
+ */
+export function generateTemplate(
+    schema?: object,
+    defaultValues?: {[key: string]: any}
+): string
+
+/**
+ * Generate TypeScript declaration of configuration from a schema.
+ */
+export function generateTypes(schema?: object, typeName?: string): string
+
+/**
+ * Copy configuration, values which have keyword `writeOnly` or `secret` in
+ * schema are replaced by `[REDACTED]`.
+ */
+export function redact(config: any, schema?: object): any
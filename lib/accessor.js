@@ -0,0 +1,162 @@
+'use strict'
+
+const lodash = require('lodash')
+const {AttributeError} = require('./error')
+const {getChildSchemas} = require('./schema')
+const {redact} = require('./secret')
+
+/**
+ * Read attributes of configuration by paths which are declared by schema.
+ */
+class ConfigurationAccessor {
+    /**
+     *
+     * @param {any} config - Valid configuration.
+     * @param {object} schema - JSON schema of configuration.
+     */
+    constructor(config, schema) {
+        this._config = config
+        this._schema = schema
+    }
+
+    /**
+     * @return {any} - Configuration.
+     */
+    get value() {
+        return this._config
+    }
+
+    /**
+     *
+     * @param {string | Array<string>} path - Follow `get()` from `lodash`,
+     * for example `db.host` or `['db', 'host']`.
+     * @return {any} - It is undefined if the attribute is not existed.
+     * @throws {AttributeError} - The path is not declared by schema.
+     */
+    get(path) {
+        let names = this._resolvePath(path)
+        return lodash.get(this._config, names)
+    }
+
+    /**
+     *
+     * @param {string | Array<string>} path - The same as `get()`.
+     * @return {boolean} - True if the attribute is existed.
+     * @throws {AttributeError} - The path is not declared by schema.
+     */
+    has(path) {
+        return this.get(path) !== undefined
+    }
+
+    /**
+     *
+     * @param {string | Array<string>} path - The same as `get()`.
+     * @return {any}
+     * @throws {AttributeError} - The path is not declared by schema or the
+     * attribute is not existed.
+     */
+    require(path) {
+        let value = this.get(path)
+        if (value === undefined) {
+            throw new AttributeError('missing attribute', undefined, {
+                path: formatPath(path)
+            })
+        }
+        return value
+    }
+
+    /**
+     * @return {any} - Configuration, it is used by `JSON.stringify()`.
+     */
+    toJSON() {
+        return this._config
+    }
+
+    /**
+     * @return {any} - Copy of configuration, secret values are masked by
+     * `redact()`.
+     */
+    toSafeJSON() {
+        return redact(this._config, this._schema)
+    }
+
+    /**
+     *
+     * @param {any} path
+     * @return {Array<string>} - Attribute names.
+     * @throws {AttributeError}
+     */
+    _resolvePath(path) {
+        if (!isPath(path)) {
+            throw new AttributeError('invalid attribute path')
+        }
+        let names = lodash.toPath(path)
+        if (!isDeclaredPath(this._schema, names)) {
+            throw new AttributeError('undeclared attribute', undefined, {
+                path: formatPath(path)
+            })
+        }
+        return names
+    }
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isPath(value) {
+    if (typeof value === 'string') {
+        return value.length > 0
+    }
+    return Array.isArray(value) &&
+        (value.length > 0) &&
+        value.every(name => typeof name === 'string')
+}
+
+/**
+ *
+ * @param {string | Array<string>} path
+ * @return {string}
+ */
+function formatPath(path) {
+    return Array.isArray(path) ? path.join('.') : path
+}
+
+/**
+ *
+ * @param {any} schema - JSON schema, it could be a boolean.
+ * @param {Array<string>} names - Attribute names.
+ * @return {boolean}
+ */
+function isDeclaredPath(schema, names) {
+    let schemas = [schema]
+    for (let name of names) {
+        schemas = schemas.flatMap(item => getChildSchemas(item, name))
+        if (schemas.length === 0) {
+            return false
+        }
+    }
+    return true
+}
+
+/**
+ * Freeze an object and all of its attributes recursively.
+ *
+ * @param {any} value - It is modified.
+ * @return {any} - The value.
+ */
+function deepFreeze(value) {
+    if (value === null || typeof value !== 'object') {
+        return value
+    }
+    for (let child of Object.values(value)) {
+        deepFreeze(child)
+    }
+    return Object.freeze(value)
+}
+
+module.exports = {
+    ConfigurationAccessor,
+    deepFreeze
+}
@@ -0,0 +1,142 @@
+'use strict'
+
+const {setOverride} = require('./override')
+
+const FILE_FLAG = '--config-file'
+const ATTRIBUTE_FLAG_PREFIX = '--config.'
+
+/**
+ * @typedef {object} ParsedArguments
+ * @property {string | undefined} filePath - From flag `--config-file`.
+ * @property {Array<Override>} overrides - From flags `--config.{path}`.
+ */
+
+/**
+ * @typedef {object} Override
+ * @property {Array<string>} names - Attribute names from the root.
+ * @property {string} value
+ */
+
+/**
+ * Arguments which are not flags of this package are ignored. Flags are
+ * `--config-file={path}` and `--config.{attribute path}={value}`, the value
+ * could be the next argument instead of after `=`.
+ *
+ * @param {Array<string>} argv - For example `process.argv.slice(2)`.
+ * @return {ParsedArguments | undefined} - Undefined means flags are malformed.
+ */
+function parseArguments(argv) {
+    let result = {
+        filePath: undefined,
+        overrides: []
+    }
+    for (let i = 0; i < argv.length; ++i) {
+        let [flag, value, consumedNext] = splitFlag(argv, i)
+        if (!isOwnFlag(flag)) {
+            continue
+        }
+        if (value === undefined || !addFlag(result, flag, value)) {
+            return undefined
+        }
+        i += consumedNext ? 1 : 0
+    }
+    return result
+}
+
+/**
+ *
+ * @param {Array<string>} argv
+ * @param {number} index
+ * @return {Array<any>} - Flag, value and is the next argument consumed.
+ */
+function splitFlag(argv, index) {
+    let arg = argv[index]
+    let separatorIndex = arg.indexOf('=')
+    if (separatorIndex >= 0) {
+        return [
+            arg.slice(0, separatorIndex),
+            arg.slice(separatorIndex + 1),
+            false
+        ]
+    }
+    let next = argv[index + 1]
+    if (next === undefined || next.startsWith('--')) {
+        return [arg, undefined, false]
+    }
+    return [arg, next, true]
+}
+
+/**
+ *
+ * @param {string} flag
+ * @return {boolean}
+ */
+function isOwnFlag(flag) {
+    return flag === FILE_FLAG || flag.startsWith(ATTRIBUTE_FLAG_PREFIX)
+}
+
+/**
+ *
+ * @param {ParsedArguments} result - It is modified.
+ * @param {string} flag
+ * @param {string} value
+ * @return {boolean} - False means the flag is malformed.
+ */
+function addFlag(result, flag, value) {
+    if (flag === FILE_FLAG) {
+        result.filePath = value
+        return value.length > 0
+    }
+    let names = flag.slice(ATTRIBUTE_FLAG_PREFIX.length).split('.')
+    result.overrides.push({names, value})
+    return !names.includes('')
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isArguments(value) {
+    if (value === undefined) {
+        return true
+    }
+    return Array.isArray(value) &&
+        value.every(item => typeof item === 'string') &&
+        parseArguments(value) !== undefined
+}
+
+/**
+ *
+ * @param {Array<string>} argv - Valid arguments.
+ * @return {string | undefined} - Value of flag `--config-file`.
+ */
+function getFilePathArgument(argv) {
+    return parseArguments(argv).filePath
+}
+
+/**
+ * Override attributes in configuration by flags `--config.{path}`. Values are
+ * converted to types which are specified by schema.
+ *
+ * @param {any} config - It is modified.
+ * @param {object} schema - JSON schema that specifies configuration.
+ * @param {Array<string>} argv - Valid arguments.
+ * @return {Array<object>} - Applied overrides by order, each one has
+ * attribute `names` of the attribute and `name` of the flag.
+ */
+function applyArguments(config, schema, argv) {
+    let {overrides} = parseArguments(argv)
+    return overrides.map(({names, value}) => {
+        return {
+            names: setOverride(config, schema, names, value),
+            name: ATTRIBUTE_FLAG_PREFIX + names.join('.')
+        }
+    })
+}
+
+module.exports = {
+    isArguments,
+    getFilePathArgument,
+    applyArguments
+}
@@ -0,0 +1,367 @@
+'use strict'
+
+const fs = require('fs')
+const seed = require('./index')
+const {
+    LoadingError,
+    OptionError,
+    FileSystemError
+} = require('./error')
+
+const USAGE = `Usage: seed <command> [options]
+
+Commands:
+    validate    Load and validate configuration, exit non-zero if it fails.
+    print       Print configuration after default values are applied,
+                secret values are redacted.
+    which       Print configuration files which are loaded and skipped.
+    template    Print or write a configuration file from schema, with
+                comments for attributes.
+    types       Print or write TypeScript declaration from schema.
+    encrypt     Print or write encrypted content of a configuration file.
+    decrypt     Print or write decrypted content of a configuration file.
+    help        Print this message.
+
+Options:
+    --identity <identity>   Configuration identity, required.
+    --schema <file>         Path to JSON schema file.
+    --defaults <file>       Path to JSON file of default values.
+    --file <file>           Path to configuration file instead of standard
+                            configuration files.
+    --profile <profile>     Profile, default is environment variable NODE_ENV.
+    --layered               Merge all of existed standard configuration files.
+    --all-errors            Report all of violations instead of the first one.
+    --type-name <name>      Name of TypeScript declaration, default is
+                            Configuration.
+    --output <file>         Write template, TypeScript declaration, encrypted
+                            or decrypted content to a new file instead of
+                            printing.
+    --key-file <file>       Path to file of encryption key, for commands
+                            encrypt, decrypt and loading encrypted files.
+    --key-env <name>        Name of environment variable of encryption key,
+                            instead of --key-file.
+    --show-secrets          Print secret values instead of redacting them,
+                            for command print.
+`
+/**
+ * Command line options which require a value.
+ */
+const VALUE_OPTIONS = {
+    '--identity': 'identity',
+    '--schema': 'schema',
+    '--defaults': 'defaultValues',
+    '--file': 'filePath',
+    '--profile': 'profile',
+    '--type-name': 'typeName',
+    '--output': 'output',
+    '--key-file': 'keyFile',
+    '--key-env': 'keyEnv'
+}
+/**
+ * Command line options which have no value.
+ */
+const SWITCH_OPTIONS = {
+    '--layered': 'layered',
+    '--all-errors': 'allErrors',
+    '--show-secrets': 'showSecrets'
+}
+/**
+ * Options which are accepted by some of commands only, other options are
+ * accepted by all of commands.
+ */
+const COMMAND_OPTIONS = {
+    output: ['template', 'types', 'encrypt', 'decrypt'],
+    typeName: ['types'],
+    showSecrets: ['print']
+}
+const COMMANDS = {
+    validate: runValidate,
+    print: runPrint,
+    which: runWhich,
+    template: runTemplate,
+    types: runTypes,
+    encrypt: runEncrypt,
+    decrypt: runDecrypt,
+    help: () => USAGE
+}
+
+/**
+ * Run command line tool.
+ *
+ * @param {Array<string>} args - Command line arguments without paths to
+ * executable and script, for example `['print', '--identity', 'foo']`.
+ * @param {object} [io=process] - Has writable streams `stdout` and `stderr`.
+ * @return {number} - Exit code. It is `1` if loading is failed and `2` if
+ * arguments are invalid.
+ * @throws {Error} - Unexpected errors.
+ */
+function main(args, io = process) {
+    let command = parseCommand(args)
+    if (!command) {
+        io.stderr.write(USAGE)
+        return 2
+    }
+    try {
+        io.stdout.write(command.run(command.options))
+        return 0
+    }
+    catch (error) {
+        if (!(error instanceof LoadingError)) {
+            throw error
+        }
+        io.stderr.write(`${error.format()}\n`)
+        return 1
+    }
+}
+
+/**
+ *
+ * @param {Array<string>} args
+ * @return {object | undefined} - Has attributes `run` and `options`. It is
+ * undefined if arguments are invalid.
+ */
+function parseCommand(args) {
+    let [name, ...optionArgs] = args
+    let run = Object.prototype.hasOwnProperty.call(COMMANDS, name)
+        ? COMMANDS[name]
+        : undefined
+    let options = parseOptions(optionArgs)
+    if (!run || !options || !isAcceptedOptions(name, options)) {
+        return undefined
+    }
+    return {run, options}
+}
+
+/**
+ *
+ * @param {string} command - Name of a command.
+ * @param {object} options - Parsed command line options.
+ * @return {boolean} - False if an option is not accepted by the command.
+ */
+function isAcceptedOptions(command, options) {
+    return Object.keys(options).every(name => {
+        return !COMMAND_OPTIONS[name] || COMMAND_OPTIONS[name].includes(command)
+    })
+}
+
+/**
+ * Option value could be the next argument or after `=`, for example
+ * `--identity foo` or `--identity=foo`.
+ *
+ * @param {Array<string>} args
+ * @return {object | undefined} - Options by name. It is undefined if there
+ * is an unknown option or an option misses value.
+ */
+function parseOptions(args) {
+    let options = {}
+    for (let i = 0; i < args.length; ++i) {
+        let [flag, ...valueParts] = args[i].split('=')
+        let value = valueParts.length > 0 ? valueParts.join('=') : undefined
+        if (SWITCH_OPTIONS[flag] && value === undefined) {
+            options[SWITCH_OPTIONS[flag]] = true
+            continue
+        }
+        if (!VALUE_OPTIONS[flag]) {
+            return undefined
+        }
+        if (value === undefined) {
+            value = args[++i]
+        }
+        if (value === undefined || value.startsWith('--')) {
+            return undefined
+        }
+        options[VALUE_OPTIONS[flag]] = value
+    }
+    return options
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string} - Output.
+ * @throws {LoadingError}
+ */
+function runValidate(options) {
+    seed.load(getLoadingOptions(options))
+    return 'configuration is valid\n'
+}
+
+/**
+ * Secret values are redacted by `seed.redact()` unless option `showSecrets`
+ * is specified, output is often kept in logs of deployment.
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string} - Output.
+ * @throws {LoadingError}
+ */
+function runPrint(options) {
+    let {showSecrets, ...otherOptions} = options
+    let loadingOptions = getLoadingOptions(otherOptions)
+    let config = seed.load(loadingOptions)
+    let result = showSecrets
+        ? config
+        : seed.redact(config, loadingOptions.schema)
+    return `${JSON.stringify(result, null, 4)}\n`
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string} - Output, files are ordered by priority, the first one is
+ * highest.
+ * @throws {LoadingError}
+ */
+function runWhich(options) {
+    let {filePaths, skippedFilePaths} = seed.which(getLoadingOptions(options))
+    let lines = [
+        ...Array.from(filePaths).reverse().map(v => `picked: ${v}`),
+        ...skippedFilePaths.map(v => `skipped: ${v}`)
+    ]
+    return `${lines.join('\n')}\n`
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string} - Output, it is empty if option `output` is specified.
+ * @throws {LoadingError}
+ */
+function runTemplate(options) {
+    let {schema = {}, defaultValues = {}, output} = getLoadingOptions(options)
+    let template = seed.generateTemplate(schema, defaultValues)
+    return writeOutput(template, output)
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string} - Output, it is empty if option `output` is specified.
+ * @throws {LoadingError}
+ */
+function runTypes(options) {
+    let {schema = {}, typeName, output} = getLoadingOptions(options)
+    let types = seed.generateTypes(schema, typeName)
+    return writeOutput(types, output)
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string | Buffer} - Output, it is empty if option `output` is
+ * specified.
+ * @throws {LoadingError}
+ */
+function runEncrypt(options) {
+    let {filePath, encryption, output} = getLoadingOptions(options)
+    let content = readInputFile(filePath)
+    return writeOutput(seed.encrypt(content, encryption), output)
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {string} - Output, it is empty if option `output` is specified.
+ * @throws {LoadingError}
+ */
+function runDecrypt(options) {
+    let {filePath, encryption, output} = getLoadingOptions(options)
+    let data = readInputFile(filePath)
+    return writeOutput(seed.decrypt(data, encryption), output)
+}
+
+/**
+ *
+ * @param {string | Buffer} data
+ * @param {string | undefined} filePath - Path to a new file.
+ * @return {string | Buffer} - Output, it is `data` if `filePath` is
+ * undefined, otherwise the data is written to the file and it is empty.
+ * @throws {LoadingError}
+ */
+function writeOutput(data, filePath) {
+    if (filePath === undefined) {
+        return data
+    }
+    try {
+        fs.writeFileSync(filePath, data, {mode: 0o600, flag: 'wx'})
+    }
+    catch (error) {
+        throw new FileSystemError(
+            'can not write file',
+            filePath,
+            {reason: error.message},
+            {cause: error}
+        )
+    }
+    return ''
+}
+
+/**
+ *
+ * @param {object} options - Parsed command line options.
+ * @return {object} - Options for `load()`.
+ * @throws {LoadingError}
+ */
+function getLoadingOptions(options) {
+    let {keyFile, keyEnv, ...result} = options
+    if (keyFile !== undefined || keyEnv !== undefined) {
+        result.encryption = {keyFile, keyEnv}
+    }
+    if (options.schema !== undefined) {
+        result.schema = readJsonFile(options.schema, 'bad schema file')
+    }
+    if (options.defaultValues !== undefined) {
+        result.defaultValues = readJsonFile(
+            options.defaultValues,
+            'bad default values file'
+        )
+    }
+    return result
+}
+
+/**
+ *
+ * @param {string | undefined} filePath - From option `--file`.
+ * @return {Buffer}
+ * @throws {LoadingError}
+ */
+function readInputFile(filePath) {
+    if (filePath === undefined) {
+        throw new OptionError('no input file')
+    }
+    try {
+        return fs.readFileSync(filePath)
+    }
+    catch (error) {
+        throw new FileSystemError(
+            'can not read file',
+            filePath,
+            {reason: error.message},
+            {cause: error}
+        )
+    }
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @param {string} message - Error message if the file can not be read.
+ * @return {any}
+ * @throws {LoadingError}
+ */
+function readJsonFile(filePath, message) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+    }
+    catch (error) {
+        throw new OptionError(
+            message,
+            filePath,
+            {reason: error.message},
+            {cause: error}
+        )
+    }
+}
+
+module.exports = {
+    main
+}
@@ -0,0 +1,106 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const {FileSystemError} = require('./error')
+const {getPlainFilePath} = require('./encryption')
+
+/**
+ * Drop-in directory of a configuration file, for example `/etc/foo/config.d`
+ * for `/etc/foo/config.json` and `/etc/foo/config.json.enc`.
+ *
+ * @param {string} filePath - Path to configuration file.
+ * @return {string}
+ */
+function getDropInDirectory(filePath) {
+    let plainFilePath = getPlainFilePath(filePath)
+    let extension = path.extname(plainFilePath)
+    let baseName = path.basename(plainFilePath, extension)
+    return path.join(path.dirname(filePath), `${baseName}.d`)
+}
+
+/**
+ * @param {string} filePath - Path to configuration file.
+ * @param {Array<string>} extensions - Extensions of fragments, for example
+ * `.json`.
+ * @return {Array<string>} - Paths to fragments in drop-in directory of the
+ * file, ordered lexically by file name.
+ * @throws {FileSystemError}
+ */
+function findDropInFilePaths(filePath, extensions) {
+    let directory = getDropInDirectory(filePath)
+    try {
+        let entries = fs.readdirSync(directory, {withFileTypes: true})
+        return selectFragments(directory, entries, extensions)
+    }
+    catch (error) {
+        return throwDirectoryAccessError(directory, error)
+    }
+}
+
+/**
+ * The same as `findDropInFilePaths()` but uses `fs.promises`.
+ *
+ * @param {string} filePath - Path to configuration file.
+ * @param {Array<string>} extensions - Extensions of fragments.
+ * @return {Promise<Array<string>>} - Paths to fragments.
+ * @throws {FileSystemError}
+ */
+async function findDropInFilePathsAsync(filePath, extensions) {
+    let directory = getDropInDirectory(filePath)
+    try {
+        let entries = await fs.promises.readdir(directory, {
+            withFileTypes: true
+        })
+        return selectFragments(directory, entries, extensions)
+    }
+    catch (error) {
+        return throwDirectoryAccessError(directory, error)
+    }
+}
+
+/**
+ * Hidden files and entries which are not files are ignored.
+ *
+ * @param {string} directory
+ * @param {Array<fs.Dirent>} entries - Entries of the directory.
+ * @param {Array<string>} extensions - Extensions of fragments.
+ * @return {Array<string>} - Paths to fragments, ordered lexically by file
+ * name.
+ */
+function selectFragments(directory, entries, extensions) {
+    return entries
+        .filter(entry => !entry.isDirectory())
+        .map(entry => entry.name)
+        .filter(name => !name.startsWith('.'))
+        .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => path.join(directory, name))
+}
+
+/**
+ *
+ * @param {string} directory
+ * @param {any} error - From reading the directory.
+ * @return {Array<string>} - Empty if the directory is not existed.
+ * @throws {FileSystemError}
+ */
+function throwDirectoryAccessError(directory, error) {
+    if (error && (error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+        return []
+    }
+    if (error && error.code) {
+        throw new FileSystemError(
+            'can not read drop-in directory',
+            directory,
+            {reason: error.code},
+            {cause: error}
+        )
+    }
+    throw error
+}
+
+module.exports = {
+    findDropInFilePaths,
+    findDropInFilePathsAsync
+}
@@ -0,0 +1,165 @@
+'use strict'
+
+const path = require('path')
+const crypto = require('crypto')
+const lodash = require('lodash')
+const {InternalLoadingError, ERROR_CODES} = require('./error')
+
+/**
+ * Encrypted configuration files have this extension after extension of their
+ * format, for example `config.json.enc`.
+ */
+const ENCRYPTED_EXTENSION = '.enc'
+/**
+ * Header of encrypted files: magic bytes `SEED`, then one byte of format
+ * version. It is authenticated as additional data.
+ */
+const MAGIC = Buffer.from('SEED')
+const FORMAT_VERSION = 1
+const HEADER_LENGTH = MAGIC.length + 1
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const KEY_LENGTH = 32
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isEncryptionOptions(value) {
+    if (value === undefined) {
+        return true
+    }
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    let {keyEnv, keyFile, ...others} = value
+    if (Object.keys(others).length > 0) {
+        return false
+    }
+    if (keyEnv !== undefined) {
+        return (keyFile === undefined) &&
+            (typeof keyEnv === 'string') &&
+            /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(keyEnv)
+    }
+    return (typeof keyFile === 'string') && (keyFile.length > 0)
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @return {boolean}
+ */
+function isEncryptedFile(filePath) {
+    return path.extname(filePath).toLowerCase() === ENCRYPTED_EXTENSION
+}
+
+/**
+ * @param {string} filePath
+ * @return {string} - Path without extension `.enc`, its extension specifies
+ * format of decrypted content.
+ */
+function getPlainFilePath(filePath) {
+    return isEncryptedFile(filePath)
+        ? filePath.slice(0, -ENCRYPTED_EXTENSION.length)
+        : filePath
+}
+
+/**
+ * A key is 32 bytes which is encoded as 64 hex digits or base64.
+ *
+ * @param {string} text - Encoded key, leading and trailing spaces are
+ * ignored.
+ * @return {Buffer}
+ * @throws {InternalLoadingError}
+ */
+function parseKey(text) {
+    let value = text.trim()
+    if (/^[0-9a-fA-F]{64}$/.test(value)) {
+        return Buffer.from(value, 'hex')
+    }
+    let key = Buffer.from(value, 'base64')
+    if ((key.length !== KEY_LENGTH) || (key.toString('base64') !== value)) {
+        throw new InternalLoadingError(
+            'invalid encryption key',
+            ERROR_CODES.DECRYPTION
+        )
+    }
+    return key
+}
+
+/**
+ * Encrypt by AES-256-GCM. Result is header, 12 bytes IV, 16 bytes
+ * authentication tag then encrypted content.
+ *
+ * @param {string | Buffer} content
+ * @param {Buffer} key - 32 bytes.
+ * @return {Buffer}
+ */
+function encryptContent(content, key) {
+    let header = Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION])])
+    let iv = crypto.randomBytes(IV_LENGTH)
+    let cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+    cipher.setAAD(header)
+    let encrypted = Buffer.concat([cipher.update(content), cipher.final()])
+    return Buffer.concat([header, iv, cipher.getAuthTag(), encrypted])
+}
+
+/**
+ *
+ * @param {Buffer} data - From `encryptContent()`.
+ * @param {Buffer} key - 32 bytes.
+ * @return {string} - UTF-8 content.
+ * @throws {InternalLoadingError}
+ */
+function decryptContent(data, key) {
+    let bodyOffset = HEADER_LENGTH + IV_LENGTH + TAG_LENGTH
+    let magic = data.subarray(0, MAGIC.length)
+    if ((data.length < bodyOffset) || !magic.equals(MAGIC)) {
+        throwDecryptionError('bad header')
+    }
+    let version = data[MAGIC.length]
+    if (version !== FORMAT_VERSION) {
+        throwDecryptionError('unsupported version', {version})
+    }
+    let iv = data.subarray(HEADER_LENGTH, HEADER_LENGTH + IV_LENGTH)
+    let tag = data.subarray(HEADER_LENGTH + IV_LENGTH, bodyOffset)
+    try {
+        let decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+        decipher.setAAD(data.subarray(0, HEADER_LENGTH))
+        decipher.setAuthTag(tag)
+        return Buffer.concat([
+            decipher.update(data.subarray(bodyOffset)),
+            decipher.final()
+        ]).toString('utf-8')
+    }
+    catch (error) {
+        return throwDecryptionError('wrong key or corrupted data', {}, error)
+    }
+}
+
+/**
+ *
+ * @param {string} reason
+ * @param {object} [labels={}] - Additional information.
+ * @param {Error} [cause=undefined] - Error from `crypto`.
+ * @throws {InternalLoadingError}
+ */
+function throwDecryptionError(reason, labels = {}, cause = undefined) {
+    throw new InternalLoadingError(
+        'can not decrypt file',
+        ERROR_CODES.DECRYPTION,
+        {reason, ...labels},
+        {cause}
+    )
+}
+
+module.exports = {
+    ENCRYPTED_EXTENSION,
+    isEncryptionOptions,
+    isEncryptedFile,
+    getPlainFilePath,
+    parseKey,
+    encryptContent,
+    decryptContent
+}
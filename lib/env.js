@@ -0,0 +1,67 @@
+'use strict'
+
+const lodash = require('lodash')
+const {setOverride} = require('./override')
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isEnvironmentOptions(value) {
+    if (value === undefined) {
+        return true
+    }
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    let {prefix, separator = '__'} = value
+    let unknownKeys = lodash.without(Object.keys(value), 'prefix', 'separator')
+    return unknownKeys.length === 0 &&
+        (typeof prefix === 'string') &&
+        /^[a-zA-Z0-9_]+$/.test(prefix) &&
+        (typeof separator === 'string') &&
+        (separator.length > 0)
+}
+
+/**
+ * Override attributes in configuration by environment variables. Values are
+ * converted to types which are specified by schema.
+ *
+ * @param {any} config - It is modified.
+ * @param {object} schema - JSON schema that specifies configuration.
+ * @param {object} options - Valid `EnvironmentOptions`.
+ * @param {object} [variables=process.env] - Environment variables.
+ * @return {Array<object>} - Applied overrides by order, each one has
+ * attribute `names` of the attribute and `name` of the variable.
+ */
+function applyEnvironmentVariables(
+    config,
+    schema,
+    options,
+    variables = process.env
+) {
+    let {prefix, separator = '__'} = options
+    let namePrefix = `${prefix}_`
+    let applied = []
+    let variableNames = Object.keys(variables)
+        .filter(name => name.startsWith(namePrefix))
+        .sort()
+    for (let variableName of variableNames) {
+        let names = variableName.slice(namePrefix.length).split(separator)
+        if (names.includes('')) {
+            continue
+        }
+        let value = variables[variableName]
+        applied.push({
+            names: setOverride(config, schema, names, value, true),
+            name: variableName
+        })
+    }
+    return applied
+}
+
+module.exports = {
+    isEnvironmentOptions,
+    applyEnvironmentVariables
+}
@@ -0,0 +1,271 @@
+'use strict'
+
+/**
+ * Codes of errors by their subclasses of `LoadingError`. Messages could be
+ * changed between versions, codes are stable.
+ */
+const ERROR_CODES = {
+    LOADING: 'E_LOADING',
+    NOT_FOUND: 'E_NOT_FOUND',
+    PERMISSION: 'E_PERMISSION',
+    PARSE: 'E_PARSE',
+    SCHEMA: 'E_SCHEMA',
+    INVALID_OPTION: 'E_INVALID_OPTION',
+    DECRYPTION: 'E_DECRYPTION',
+    MIGRATION: 'E_MIGRATION',
+    IO: 'E_IO',
+    UNSUPPORTED_FILE: 'E_UNSUPPORTED_FILE',
+    ATTRIBUTE: 'E_ATTRIBUTE'
+}
+
+/**
+ * Report error to outside of this package. Errors from this package are
+ * instances of its subclasses, attribute `name` is `LoadingError` for all of
+ * them. Attribute `code` of an error is from attribute `code` of its class.
+ */
+class LoadingError extends Error {
+    /**
+     *
+     * @param {string} message - Short description.
+     * @param {string | undefined} filePath - Path to configuration file.
+     * @param {object} labels - Additional information.
+     * @param {object} [options={}] - Has optional attribute `cause`, the
+     * underlying error.
+     */
+    constructor(message, filePath = undefined, labels = {}, options = {}) {
+        super(message)
+        this.name = 'LoadingError'
+        this.code = new.target.code
+        this.filePath = filePath
+        this.labels = labels
+        if (options.cause !== undefined) {
+            this.cause = options.cause
+        }
+    }
+
+    /**
+     * Plain object for structured logs. Attribute `cause` has attributes
+     * `name`, `message` and `code` of the underlying error, stack traces are
+     * not included. Cause of `ParseError` has `line` and `column` instead of
+     * `message`.
+     *
+     * @return {object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            filePath: this.filePath,
+            labels: this.labels,
+            cause: (this.code === ERROR_CODES.PARSE)
+                ? serializeParseCause(this.cause, this.labels)
+                : serializeCause(this.cause)
+        }
+    }
+
+    /**
+     * Human readable, multi-line description of this error. It is good for
+     * printing to the terminal.
+     *
+     * @return {string}
+     */
+    format() {
+        let header = this.filePath
+            ? `${this.filePath}: ${this.message}`
+            : this.message
+        let details = Array.isArray(this.labels.errors)
+            ? this.labels.errors.map(formatViolation)
+            : Object.entries(this.labels).map(formatLabel)
+        return [header, ...details].join('\n')
+    }
+}
+
+/**
+ * Configuration file or drop-in directory is not existed.
+ */
+class NotFoundError extends LoadingError {}
+
+/**
+ * Permission, owner or directories of a file are not trusted, or access is
+ * denied.
+ */
+class PermissionError extends LoadingError {}
+
+/**
+ * Content of a configuration file is not in its format.
+ */
+class ParseError extends LoadingError {}
+
+/**
+ * Configuration does not satisfy schema.
+ */
+class SchemaError extends LoadingError {}
+
+/**
+ * Arguments of a function are invalid, includes a bad schema.
+ */
+class OptionError extends LoadingError {}
+
+/**
+ * Encryption key is missing or invalid, or a file can not be decrypted.
+ */
+class DecryptionError extends LoadingError {}
+
+/**
+ * Configuration file can not be upgraded to current version.
+ */
+class MigrationError extends LoadingError {}
+
+/**
+ * Reading or writing a file or directory is failed.
+ */
+class FileSystemError extends LoadingError {}
+
+/**
+ * Operation is not supported by type or format of a file, for example a
+ * configuration file is a directory.
+ */
+class UnsupportedFileError extends LoadingError {}
+
+/**
+ * Attribute path of `ConfigurationAccessor` is invalid, undeclared or
+ * missing.
+ */
+class AttributeError extends LoadingError {}
+
+/**
+ * Subclasses of `LoadingError` by code, the code is set to attribute `code`
+ * of each class and it is read by the constructor of `LoadingError`.
+ */
+const ERROR_CLASSES = {
+    [ERROR_CODES.NOT_FOUND]: NotFoundError,
+    [ERROR_CODES.PERMISSION]: PermissionError,
+    [ERROR_CODES.PARSE]: ParseError,
+    [ERROR_CODES.SCHEMA]: SchemaError,
+    [ERROR_CODES.INVALID_OPTION]: OptionError,
+    [ERROR_CODES.DECRYPTION]: DecryptionError,
+    [ERROR_CODES.MIGRATION]: MigrationError,
+    [ERROR_CODES.IO]: FileSystemError,
+    [ERROR_CODES.UNSUPPORTED_FILE]: UnsupportedFileError,
+    [ERROR_CODES.ATTRIBUTE]: AttributeError
+}
+LoadingError.code = ERROR_CODES.LOADING
+for (let [code, ErrorClass] of Object.entries(ERROR_CLASSES)) {
+    ErrorClass.code = code
+}
+
+/**
+ * Throw error inside of this package. It is converted to a subclass of
+ * `LoadingError` by `toLoadingError()`, after path to configuration file is
+ * known.
+ */
+class InternalLoadingError extends Error {
+    /**
+     *
+     * @param {string} message
+     * @param {string} code - One of `ERROR_CODES`.
+     * @param {object} [labels={}]
+     * @param {object} [options={}] - Has optional attribute `cause`.
+     */
+    constructor(message, code, labels = {}, options = {}) {
+        super(message)
+        this.name = 'InternalLoadingError'
+        this.code = code
+        this.labels = labels
+        if (options.cause !== undefined) {
+            this.cause = options.cause
+        }
+    }
+}
+
+/**
+ *
+ * @param {InternalLoadingError} error
+ * @param {string | undefined} filePath - Path to configuration file.
+ * @return {LoadingError} - Instance of subclass by code of the error.
+ */
+function toLoadingError(error, filePath) {
+    let ErrorClass = ERROR_CLASSES[error.code] || LoadingError
+    return new ErrorClass(error.message, filePath, error.labels, {
+        cause: error.cause
+    })
+}
+
+/**
+ *
+ * @param {any} cause - Underlying error.
+ * @return {object | undefined}
+ */
+function serializeCause(cause) {
+    if (cause instanceof LoadingError) {
+        return cause.toJSON()
+    }
+    if (!(cause instanceof Error)) {
+        return (cause === undefined) ? undefined : {message: String(cause)}
+    }
+    let {name, message, code} = cause
+    return (code === undefined) ? {name, message} : {name, message, code}
+}
+
+/**
+ * Messages of parsers could have snippets of configuration files, they
+ * could have secret values, so they are dropped.
+ *
+ * @param {any} cause - Underlying error from a parser.
+ * @param {object} labels - Has optional attributes `line` and `column`.
+ * @return {object | undefined}
+ */
+function serializeParseCause(cause, labels) {
+    if (cause === undefined) {
+        return undefined
+    }
+    let {name, code} = (cause instanceof Error) ? cause : {}
+    let {line, column} = labels
+    let result = {name, code, line, column}
+    return Object.fromEntries(
+        Object.entries(result).filter(([, value]) => value !== undefined)
+    )
+}
+
+/**
+ *
+ * @param {object} violation - Validation error from `ajv` with optional
+ * location.
+ * @return {string}
+ */
+function formatViolation(violation) {
+    let {instancePath, message, filePath, line, column} = violation
+    let attribute = instancePath || '/'
+    if (filePath === undefined) {
+        return `  ${attribute}: ${message}`
+    }
+    return `  ${filePath}:${line}:${column}: ${attribute}: ${message}`
+}
+
+/**
+ *
+ * @param {Array<any>} label - Pair of name and value.
+ * @return {string}
+ */
+function formatLabel([name, value]) {
+    let text = (typeof value === 'string') ? value : JSON.stringify(value)
+    return `  ${name}: ${text}`
+}
+
+module.exports = {
+    ERROR_CODES,
+    LoadingError,
+    NotFoundError,
+    PermissionError,
+    ParseError,
+    SchemaError,
+    OptionError,
+    DecryptionError,
+    MigrationError,
+    FileSystemError,
+    UnsupportedFileError,
+    AttributeError,
+    InternalLoadingError,
+    toLoadingError
+}
@@ -1,94 +1,1209 @@
 'use strict'
 
 const fs = require('fs')
+const path = require('path')
 const lodash = require('lodash')
 const Ajv = require('ajv')
 const ajvFormats = require('ajv-formats')
-const commentJson = require('comment-json')
 const untildify = require('untildify')
+const {mergeLayers, isArrayMergePolicy} = require('./merge')
+const {isEnvironmentOptions, applyEnvironmentVariables} = require('./env')
+const {isArguments, getFilePathArgument, applyArguments} = require('./argv')
+const {ConfigurationWatcher} = require('./watch')
+const {
+    ERROR_CODES,
+    LoadingError,
+    NotFoundError,
+    PermissionError,
+    ParseError,
+    SchemaError,
+    OptionError,
+    DecryptionError,
+    MigrationError,
+    FileSystemError,
+    UnsupportedFileError,
+    AttributeError,
+    InternalLoadingError,
+    toLoadingError
+} = require('./error')
+const {
+    STANDARD_EXTENSIONS,
+    isParsers,
+    isJsonFile,
+    parseFileData
+} = require('./parser')
+const {findJsonLocations} = require('./location')
+const {findDropInFilePaths, findDropInFilePathsAsync} = require('./dropin')
+const {
+    collectFileProvenance,
+    recordProvenance,
+    completeProvenance,
+    explainProvenance
+} = require('./provenance')
+const {isSearchPaths, isFileName, getSearchLocations} = require('./search')
+const {generateTemplate} = require('./template')
+const {generateTypes} = require('./typescript')
+const {ConfigurationAccessor, deepFreeze} = require('./accessor')
+const {SECRET_KEYWORD, redact, redactViolation} = require('./secret')
+const {
+    UNIT_KEYWORD,
+    convertUnits,
+    restoreUnits,
+    validateUnitReferences
+} = require('./unit')
+const {
+    writeFileAtomic,
+    writeFileAtomicAsync,
+    updateJsonContent
+} = require('./writer')
+const {
+    isMigrationOptions,
+    migrateSource,
+    writeBackSource,
+    writeBackSourceAsync
+} = require('./migration')
+const {
+    isFilePermission,
+    checkFileMode,
+    getCreationMode
+} = require('./permission')
+const {
+    isTrustOptions,
+    validateTrust,
+    validateTrustAsync
+} = require('./trust')
+const {
+    ENCRYPTED_EXTENSION,
+    isEncryptionOptions,
+    isEncryptedFile,
+    getPlainFilePath,
+    parseKey,
+    encryptContent,
+    decryptContent
+} = require('./encryption')
+
+/**
+ * Pattern: `/^[a-zA-Z0-9]+$/`.
+ *
+ * @typedef {string} ConfigurationIdentity
+ */
+
+/**
+ * Unsigned integer, less than or equal 0o7777. Permission bits of a file must
+ * be a subset of this one, for example `0o400` and `0o600` are allowed by
+ * `0o600` but `0o640` is not.
+ *
+ * @typedef {number} FilePermission
+ */
+
+/**
+ * Limits of permission bits. A file is allowed if it does not have any of
+ * forbidden bits, and permission bits of each class are a subset of its
+ * limit.
+ *
+ * @typedef {object} PermissionPolicy
+ * @property {number} [forbidden=0] - Unsigned integer, less than or equal
+ * `0o777`. For example `0o022` forbids writing by group and others.
+ * @property {number} [user=0o7] - Unsigned integer, less than or equal
+ * `0o7`. Limit for owner of the file, for example `0o6` allows reading and
+ * writing.
+ * @property {number} [group=0o7] - Limit for group of the file.
+ * @property {number} [other=0o7] - Limit for others.
+ */
+
+/**
+ * @typedef {object} Options
+ * @property {ConfigurationIdentity} identity - Identity of configuration.
+ * It is use for detecting path to configuration file. There are files to
+ * load by order:
+ * 1. `./config.json`.
+ * 2. `$XDG_CONFIG_HOME/{identity}/config.json`, default `XDG_CONFIG_HOME` is
+ * `~/.config`.
+ * 3. `{dir}/{identity}/config.json` for each `dir` in `$XDG_CONFIG_DIRS`,
+ * default `XDG_CONFIG_DIRS` is `/etc/xdg`.
+ * 4. `/etc/{identity}/config.json`.
+ * In each location, extensions are tried by order: `.json`, `.yaml`, `.yml`,
+ * `.toml`. Locations are changed by attribute `searchPaths`, file name is
+ * changed by attribute `fileName`.
+ * @property {string} [filePath=undefined] - Override path to configuration
+ * file, ignore attribute `identity`.
+ * @property {object} [schema={}] - JSON schema that specifies configuration.
+ * Keyword `default` is supported. Keyword `unit` converts strings after
+ * validation. Strings of unit `duration` are converted to milliseconds, for
+ * example `30s`, `1h30m` or `PT5M`, units are `ms`, `s`, `m`, `h`, `d` and
+ * `w`. Strings of unit `bytes` are converted to bytes, for example `512MB`
+ * or `1GiB`, units are case insensitive `B`, `KB`, `MB`, `GB`, `TB`, `PB`
+ * as powers of 1000 and `KiB`, `MiB`, `GiB`, `TiB`, `PiB` as powers of
+ * 1024. Converted numbers are valid too, so `save()` accepts loaded
+ * configuration and it keeps strings of unchanged values in the file.
+ * Keyword `type` next to keyword `unit` must accept numbers, and keyword
+ * `unit` is not supported under `$ref`, they are `bad schema`.
+ * @property {object} [defaultValues={}] - Key-value pairs for default values,
+ * it is the same as argument `path` from `lodash.set()`. They have higher
+ * priority than keyword `default` from schema, and they are validated.
+ * @property {FilePermission | PermissionPolicy} [filePermission=0o0600] - If
+ * file permission is not allowed by this one then throws error.
+ * @property {boolean} [fixPermission=false] - Instead of throwing error,
+ * change permission of files which are not allowed by attribute
+ * `filePermission` by removing bits which are not allowed. Changes are
+ * reported in `Metadata`.
+ * @property {boolean} [layered=false] - Load all of existed files which are
+ * detected by attribute `identity` then deep merge them. `/etc` is lowest
+ * priority, current working directory is highest priority. Ignored if
+ * attribute `filePath` is specified.
+ * @property {string} [arrayMerge='replace'] - How to merge arrays in layered
+ * mode. `replace`: array from higher priority file replaces the other one.
+ * `concat`: arrays are concatenated by priority, lowest first.
+ * @property {EnvironmentOptions} [env=undefined] - Override attributes by
+ * environment variables before validation. Values are converted to types
+ * which are specified by attribute `schema`. If it is specified then
+ * configuration file is not required.
+ * @property {Array<string>} [argv=undefined] - Command line arguments, for
+ * example `process.argv.slice(2)`. Flag `--config.{path}={value}` overrides
+ * an attribute after environment variables, the value is converted the same
+ * as attribute `env`. Flag `--config-file={path}` replaces attribute
+ * `filePath`. Other arguments are ignored.
+ * @property {object} [parsers={}] - Key-value pairs of file extension and
+ * `Parser`, for example `{'.conf': parseConf}`. They override built-in
+ * parsers: `.json` (with comments), `.yaml`, `.yml`, `.toml` and `.ini`.
+ * Files with unknown extension are parsed as JSON.
+ * @property {boolean} [allErrors=false] - Report all of violations from
+ * validation instead of the first one. Labels of `LoadingError` has
+ * attribute `errors`, it is an array of `Violation`.
+ * @property {string | null} [profile=undefined] - Pattern:
+ * `/^[a-zA-Z0-9_-]+$/`. For each configuration file, for example
+ * `config.json`, file `config.{profile}.json` in the same directory is
+ * merged on top of it if it is existed. If it is undefined then environment
+ * variable `NODE_ENV` is used. If it is null then there is no profile.
+ * @property {boolean} [freeze=false] - Deep freeze configuration, so it
+ * can not be modified.
+ * @property {boolean} [accessor=false] - Return `ConfigurationAccessor`
+ * instead of configuration.
+ * @property {TrustOptions} [trust=undefined] - Check owner of configuration
+ * files and directories which contain them. Checks are skipped if it is
+ * undefined.
+ * @property {boolean} [metadata=false] - Return `LoadingResult` instead of
+ * configuration.
+ * @property {Array<string>} [searchPaths=undefined] - Templates of paths to
+ * configuration files, ordered by priority, the first one is highest.
+ * Placeholders are `{identity}`, `{fileName}`, `{xdgConfigHome}` and
+ * `{xdgConfigDirs}`, the last one expands to a path per directory. For
+ * example `{xdgConfigHome}/{identity}/{fileName}`. Default is locations which
+ * are described by attribute `identity`.
+ * @property {string} [fileName='config'] - Pattern:
+ * `/^[a-zA-Z0-9_-][a-zA-Z0-9._-]*$/`. Name of configuration files for
+ * placeholder `{fileName}`. If it has no extension then extensions are tried
+ * by order: `.json`, `.yaml`, `.yml`, `.toml`.
+ * @property {boolean} [dropIns=false] - For each configuration file, for
+ * example `/etc/foo/config.json`, load fragments from drop-in directory
+ * `/etc/foo/config.d`. Fragments have extensions `.json`, `.yaml`, `.yml`,
+ * `.toml` or extensions from attribute `parsers`. They are merged on top of
+ * the file by lexical order of file names, then profile file is merged.
+ * Hidden files are ignored.
+ * @property {boolean} [provenance=false] - Return `LoadingResult` which
+ * records source of each value, it implies option `metadata`.
+ * @property {MigrationOptions} [migration=undefined] - Upgrade configuration
+ * files from older versions before validation.
+ * @property {EncryptionOptions} [encryption=undefined] - Key to decrypt
+ * configuration files which have extension `.enc`, for example
+ * `config.json.enc`. If it is specified then standard encrypted files are
+ * tried before plain files in each location, and fragments in drop-in
+ * directories could be encrypted.
+ */
+
+/**
+ * Each configuration file is upgraded separately, before it is merged with
+ * others. A file without attribute version is version `1`. Errors are
+ * reported as `LoadingError` with messages `invalid configuration version`,
+ * `unsupported configuration version`, `migration failed` and
+ * `migration returns non object`.
+ *
+ * @typedef {object} MigrationOptions
+ * @property {number} version - Current version of configuration, a positive
+ * integer.
+ * @property {object} [migrations={}] - Functions by version, function of key
+ * `n` receives data of version `n` and returns data of version `n + 1`. Data
+ * could be modified. Keys must be less than attribute `version`.
+ * @property {string} [attribute='version'] - Name of attribute which stores
+ * version in configuration files. It is set to current version after
+ * upgrading, so schema must accept it.
+ * @property {boolean} [writeBack=false] - Write upgraded JSON files back
+ * atomically after configuration is valid, comments of attributes which are
+ * not renamed are kept. Other formats are not written back.
+ */
+
+/**
+ * Encrypted files are encrypted by AES-256-GCM, see `encrypt()`. A key is
+ * 32 bytes which is encoded as 64 hex digits or base64, for example output
+ * of `openssl rand -base64 32`. Exactly one of attributes is specified.
+ * Errors of decryption are reported as `LoadingError` with message
+ * `can not decrypt file`.
+ *
+ * @typedef {object} EncryptionOptions
+ * @property {string} [keyEnv] - Name of environment variable which contains
+ * the key.
+ * @property {string} [keyFile] - Path to file which contains the key. It is
+ * checked by attributes `filePermission`, `fixPermission` and `trust` of
+ * `Options` as configuration files.
+ */
+
+/**
+ * `Options` with additional attributes for `ajv`. Attribute `identity` is
+ * optional, it is required by `load()`, `loadAsync()` and `watch()` of the
+ * loader, from this options or their options.
+ *
+ * @typedef {object} LoaderOptions
+ * @property {object} [ajvOptions={}] - Options for `new Ajv()`, attribute
+ * `allErrors` is from `Options`. Default of attribute `useDefaults` is true.
+ * @property {object} [formats={}] - Formats by name for `ajv.addFormat()`,
+ * a format is a string, RegExp, function or format definition.
+ * @property {Array<object>} [keywords=[]] - Keyword definitions for
+ * `ajv.addKeyword()`.
+ */
+
+/**
+ * Loader from `createLoader()`, schema is compiled once. Methods `load()`,
+ * `loadAsync()` and `watch()` are the same as functions of this package,
+ * except their options override options from `createLoader()` and could not
+ * have attributes `schema` and `allErrors`.
+ *
+ * @typedef {object} ConfigurationLoader
+ * @property {Function} load - `load(options={})`.
+ * @property {Function} loadAsync - `loadAsync(options={})`.
+ * @property {Function} watch - `watch(options={}, watchOptions={})`.
+ * @property {Function} validate - `validate(config)` returns a valid copy of
+ * configuration, default values from schema are filled. It throws
+ * `LoadingError` if configuration is invalid.
+ */
+
+/**
+ * @typedef {object} LoadingResult
+ * @property {any} config - Configuration, or `ConfigurationAccessor` if
+ * option `accessor` is true.
+ * @property {Metadata} metadata
+ * @property {Function} [explain] - Available if option `provenance` is true.
+ * It receives an attribute path which follows `get()` from `lodash`, for
+ * example `db.port`, and returns `Provenance` of the value. It returns
+ * undefined if the path is not a leaf of configuration.
+ */
+
+/**
+ * @typedef {object} Metadata
+ * @property {Array<string>} filePaths - Paths to loaded configuration files,
+ * ordered by priority, the last one is highest.
+ * @property {Array<PermissionFix>} permissionFixes - Changed permissions by
+ * option `fixPermission`.
+ * @property {object} [provenance] - Available if option `provenance` is
+ * true. `Provenance` by JSON pointer to each leaf of configuration, for
+ * example `/db/port`. Leaves are values which are not non-empty objects, so
+ * an array is a leaf.
+ */
+
+/**
+ * Where a value comes from. Attribute `source` is one of:
+ * `file` - A configuration file, attributes `line` and `column` are
+ * available if it is a JSON file.
+ * `defaultValues` - Option `defaultValues`.
+ * `schema` - Keyword `default` of schema.
+ * `env` - An environment variable, option `env`.
+ * `argv` - A command line flag, option `argv`.
+ *
+ * @typedef {object} Provenance
+ * @property {string} source
+ * @property {string} [filePath] - Path to configuration file.
+ * @property {number} [line] - Start from 1.
+ * @property {number} [column] - Start from 0.
+ * @property {string} [name] - Name of environment variable or command line
+ * flag.
+ */
+
+/**
+ * @typedef {object} PermissionFix
+ * @property {string} filePath
+ * @property {number} from - Permission before changing.
+ * @property {number} to - Permission after changing.
+ */
+
+/**
+ * If checks are enabled, a configuration file is trusted if:
+ * 1. Its owner is one of attribute `owners`.
+ * 2. It is not writable by group or others.
+ * 3. Directories which contain it are not writable by others, except
+ * directories which have sticky bit such as `/tmp`.
+ * Symbolic links are checked by both of their paths and real paths.
+ *
+ * @typedef {object} TrustOptions
+ * @property {Array<number>} [owners] - User IDs which are allowed to own
+ * configuration files. Default is process owner and root.
+ */
+
+/**
+ * Violation from validation. Attributes `filePath`, `line` and `column` are
+ * available if the value is from a JSON file.
+ *
+ * @typedef {object} Violation
+ * @property {string} instancePath - JSON pointer to invalid value.
+ * @property {string} schemaPath
+ * @property {string} keyword
+ * @property {object} params
+ * @property {string} message
+ * @property {string} [filePath]
+ * @property {number} [line] - Start from 1.
+ * @property {number} [column] - Start from 0.
+ */
+
+/**
+ * @typedef {object} Source
+ * @property {string} filePath - Path to configuration file.
+ * @property {any} data - Parsed data from configuration file.
+ * @property {string} content - Raw content of configuration file.
+ * @property {PermissionFix} [permissionFix] - Changed permission by option
+ * `fixPermission`.
+ * @property {boolean} [isUpgraded] - Content is upgraded by option
+ * `migration` and it is written back after validation.
+ */
+
+/**
+ * Parse content of configuration file. If content is invalid then throws an
+ * error which has optional attributes `line` and `column`, it is reported as
+ * `LoadingError` with message `invalid format`.
+ *
+ * @typedef {Function} Parser
+ * @param {string} data - Content of configuration file.
+ * @return {any} - Parsed data.
+ */
+
+/**
+ * @typedef {object} FileSelection
+ * @property {Array<string>} filePaths - Paths to configuration files which
+ * are loaded, ordered by priority, the last one is highest.
+ * @property {Array<string>} skippedFilePaths - Paths to standard
+ * configuration files which are not loaded, ordered by priority, the first
+ * one is highest.
+ */
+
+/**
+ * @typedef {object} WatchOptions
+ * @property {number} [interval=1000] - How often configuration files are
+ * polled, in milliseconds.
+ */
+
+/**
+ * @typedef {object} EnvironmentOptions
+ * @property {string} prefix - Pattern: `/^[a-zA-Z0-9_]+$/`. Only variables
+ * which have name starts with `{prefix}_` are used.
+ * @property {string} [separator='__'] - Separator between attribute names,
+ * for example `MYAPP_DB__HOST` is attribute `db.host`.
+ */
+
+/**
+ * Load and validate configuration file.
+ *
+ * @param {Options} [options={}] - Options for loading.
+ * @return {any} Valid configuration from file.
+ * @throws {LoadingError}
+ */
+function load(options = {}) {
+    return loadByOptions(formatOptions(options))
+}
+
+/**
+ * Load and validate configuration file without blocking the event loop on
+ * file system operations.
+ *
+ * @param {Options} [options={}] - Options for loading.
+ * @return {Promise<any>} Valid configuration from file.
+ * @throws {LoadingError}
+ */
+async function loadAsync(options = {}) {
+    return await loadByOptionsAsync(formatOptions(options))
+}
+
+/**
+ * Load and validate configuration file, then reload it each time the file
+ * is changed.
+ *
+ * @param {Options} [options={}] - Options for loading.
+ * @param {WatchOptions} [watchOptions={}]
+ * @return {ConfigurationWatcher}
+ * @throws {LoadingError} - First loading is failed.
+ */
+function watch(options = {}, watchOptions = {}) {
+    return watchByOptions(formatOptions(options), watchOptions)
+}
+
+/**
+ * Create a loader which compiles schema once, then reuses it for each
+ * loading. Options for loading could be overridden in each call, except
+ * attributes `schema` and `allErrors`.
+ *
+ * @param {LoaderOptions} [options={}] - Options for loading and `ajv`.
+ * @return {ConfigurationLoader}
+ * @throws {LoadingError}
+ */
+function createLoader(options = {}) {
+    validateAjvOptions(options)
+    let {ajvOptions, formats, keywords, ...loadingOptions} = options
+    let {schema, allErrors} = formatOptions(loadingOptions, ['identity'])
+    let validator
+    try {
+        let ajvConfig = {allErrors, ajvOptions, formats, keywords}
+        validator = compileSchema(schema, ajvConfig)
+    }
+    catch (error) {
+        throw throwLoadingError(undefined, error)
+    }
+    let compiledOptions = {schema, allErrors, validator}
+    let getOptions = overrides => {
+        return formatLoaderOptions(loadingOptions, overrides, validator)
+    }
+    return {
+        load: (overrides = {}) => loadByOptions(getOptions(overrides)),
+        loadAsync: async(overrides = {}) => {
+            return await loadByOptionsAsync(getOptions(overrides))
+        },
+        watch: (overrides = {}, watchOptions = {}) => {
+            return watchByOptions(getOptions(overrides), watchOptions)
+        },
+        validate: config => validateCopy(config, compiledOptions)
+    }
+}
+
+/**
+ * Validators for attributes of `LoaderOptions` which are not attributes of
+ * `Options`.
+ */
+const AJV_OPTION_VALIDATORS = {
+    ajvOptions: value => (value === undefined) || lodash.isPlainObject(value),
+    formats: isAjvFormats,
+    keywords: isAjvKeywords
+}
+
+/**
+ *
+ * @param {any} options - `LoaderOptions`.
+ * @throws {LoadingError}
+ */
+function validateAjvOptions(options) {
+    if (!lodash.isPlainObject(options)) {
+        throw new OptionError('options is not a object')
+    }
+    for (let [name, isValid] of Object.entries(AJV_OPTION_VALIDATORS)) {
+        if (!isValid(options[name])) {
+            throw new OptionError(`invalid option: ${name}`)
+        }
+    }
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isAjvFormats(value) {
+    if (value === undefined) {
+        return true
+    }
+    return lodash.isPlainObject(value) && Object.values(value).every(format => {
+        return (typeof format === 'string') ||
+            (typeof format === 'function') ||
+            (format instanceof RegExp) ||
+            lodash.isPlainObject(format)
+    })
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isAjvKeywords(value) {
+    if (value === undefined) {
+        return true
+    }
+    return Array.isArray(value) && value.every(keyword => {
+        return lodash.isPlainObject(keyword) &&
+            isNonEmptyString(keyword.keyword)
+    })
+}
+
+/**
+ *
+ * @param {object} loadingOptions - Options for loading from `createLoader()`.
+ * @param {any} overrides - Options for loading in a call.
+ * @param {Function} validator - Compiled schema.
+ * @return {Options} - Valid options.
+ * @throws {LoadingError}
+ */
+function formatLoaderOptions(loadingOptions, overrides, validator) {
+    if (!lodash.isPlainObject(overrides)) {
+        throw new OptionError('options is not a object')
+    }
+    for (let name of ['schema', 'allErrors']) {
+        if (Object.prototype.hasOwnProperty.call(overrides, name)) {
+            throw new OptionError(`invalid option: ${name}`)
+        }
+    }
+    let result = formatOptions({...loadingOptions, ...overrides})
+    result.validator = validator
+    return result
+}
+
+/**
+ * @param {any} config
+ * @param {Options} options - Valid options.
+ * @return {any} - Valid copy of configuration, default values from schema
+ * are filled.
+ * @throws {LoadingError}
+ */
+function validateCopy(config, options) {
+    try {
+        return validateConfiguration(lodash.cloneDeep(config), options)
+    }
+    catch (error) {
+        throw throwLoadingError(undefined, error)
+    }
+}
+
+/**
+ * @param {Options} options - Valid options.
+ * @return {any} - Valid configuration.
+ * @throws {LoadingError}
+ */
+function loadByOptions(options) {
+    let filePaths = getSourceFilePaths(options)
+    return loadSourceFiles(filePaths, options)
+}
+
+/**
+ * @param {Options} options - Valid options.
+ * @return {Promise<any>} - Valid configuration.
+ * @throws {LoadingError}
+ */
+async function loadByOptionsAsync(options) {
+    let filePaths = await getSourceFilePathsAsync(options)
+    return await loadSourceFilesAsync(filePaths, options)
+}
+
+/**
+ * @param {Options} validOptions - Valid options.
+ * @param {WatchOptions} watchOptions
+ * @return {ConfigurationWatcher}
+ * @throws {LoadingError}
+ */
+function watchByOptions(validOptions, watchOptions) {
+    if (!isValidWatchOptions(watchOptions)) {
+        throw new OptionError('invalid option: watchOptions')
+    }
+    let filePaths = getSourceFilePaths(validOptions)
+    let config = loadSourceFiles(filePaths, validOptions)
+    let reload = () => loadSourceFilesAsync(filePaths, validOptions)
+    return new ConfigurationWatcher(filePaths, config, reload, watchOptions)
+}
+
+/**
+ * Find configuration files which are loaded by `load()` without loading
+ * them.
+ *
+ * @param {Options} [options={}] - Options for loading.
+ * @return {FileSelection}
+ * @throws {LoadingError}
+ */
+function which(options = {}) {
+    let validOptions = formatOptions(options)
+    let filePaths = getSourceFilePaths(validOptions)
+    let candidates = validOptions.filePath
+        ? []
+        : getStandardFilePaths(validOptions)
+    let skippedFilePaths = candidates.filter(candidate => {
+        return !filePaths.includes(candidate)
+    })
+    return {filePaths, skippedFilePaths}
+}
+
+/**
+ * Validate configuration then write it to a configuration file. Comments,
+ * order and indentation of attributes which are still existed are kept.
+ *
+ * @param {any} config - Configuration. Default values from schema are not
+ * added to it.
+ * @param {Options} [options={}] - Options for loading. Attributes `schema`,
+ * `allErrors`, `filePermission`, `fixPermission`, `trust` and `parsers` are
+ * used for the file.
+ * @return {string} - Path to the file.
+ * @throws {LoadingError}
+ */
+function save(config, options = {}) {
+    let validOptions = formatOptions(options)
+    let filePath = getSavingFilePath(validOptions)
+    try {
+        validateSavingFile(config, filePath, validOptions)
+        let content = fs.existsSync(filePath)
+            ? readFile(filePath, validOptions).content
+            : undefined
+        let mode = getCreationMode(validOptions.filePermission)
+        let data = updateJsonContent(
+            content,
+            getSavingConfig(config, content, filePath, validOptions)
+        )
+        writeFileAtomic(filePath, data, mode)
+        return filePath
+    }
+    catch (error) {
+        throw throwLoadingError(filePath, error)
+    }
+}
+
+/**
+ * The same as `save()` but uses `fs.promises`.
+ *
+ * @param {any} config - Configuration.
+ * @param {Options} [options={}] - Options for loading.
+ * @return {Promise<string>} - Path to the file.
+ * @throws {LoadingError}
+ */
+async function saveAsync(config, options = {}) {
+    let validOptions = formatOptions(options)
+    let filePath = await getSavingFilePathAsync(validOptions)
+    try {
+        validateSavingFile(config, filePath, validOptions)
+        let content = await isExistedPath(filePath)
+            ? (await readFileAsync(filePath, validOptions)).content
+            : undefined
+        let mode = getCreationMode(validOptions.filePermission)
+        let data = updateJsonContent(
+            content,
+            getSavingConfig(config, content, filePath, validOptions)
+        )
+        await writeFileAtomicAsync(filePath, data, mode)
+        return filePath
+    }
+    catch (error) {
+        throw throwLoadingError(filePath, error)
+    }
+}
+
+/**
+ * @param {Options} options - Valid options.
+ * @return {string} - Attribute `filePath`, or the highest priority standard
+ * configuration file.
+ * @throws {LoadingError}
+ */
+function getSavingFilePath(options) {
+    let {filePath} = options
+    if (filePath) {
+        return untildify(filePath)
+    }
+    let [existedFilePath] = findStandardFilePaths(options)
+    return existedFilePath || throwNoConfigurationFileError(options)
+}
+
+/**
+ * The same as `getSavingFilePath()` but uses `fs.promises`.
+ *
+ * @param {Options} options - Valid options.
+ * @return {Promise<string>}
+ * @throws {LoadingError}
+ */
+async function getSavingFilePathAsync(options) {
+    let {filePath} = options
+    if (filePath) {
+        return untildify(filePath)
+    }
+    let [existedFilePath] = await findStandardFilePathsAsync(options)
+    return existedFilePath || throwNoConfigurationFileError(options)
+}
+
+/**
+ *
+ * @param {Options} options - Valid options.
+ * @throws {LoadingError}
+ */
+function throwNoConfigurationFileError(options) {
+    let filePaths = getStandardFilePaths(options)
+    throw new NotFoundError('no configuration file', filePaths[0])
+}
+
+/**
+ * Validate a copy of configuration, so default values from schema are not
+ * written.
+ *
+ * @param {any} config
+ * @param {string} filePath - Path to the file which is written.
+ * @param {Options} options - Valid options.
+ * @throws {InternalLoadingError}
+ */
+function validateSavingFile(config, filePath, options) {
+    if (isEncryptedFile(filePath)) {
+        throw new InternalLoadingError(
+            'can not write encrypted file',
+            ERROR_CODES.UNSUPPORTED_FILE
+        )
+    }
+    if (!isJsonFile(filePath, options.parsers)) {
+        throw new InternalLoadingError(
+            'not a JSON file',
+            ERROR_CODES.UNSUPPORTED_FILE
+        )
+    }
+    validateConfiguration(lodash.cloneDeep(config), options)
+}
+
+/**
+ * Numbers of keyword `unit` which are equal to strings in the existed file
+ * are written as the strings, for example `30s` is kept instead of `30000`.
+ *
+ * @param {any} config - Valid configuration.
+ * @param {string | undefined} content - Content of the existed file.
+ * @param {string} filePath - Path to the file.
+ * @param {Options} options - Valid options.
+ * @return {any} - Configuration to write.
+ * @throws {InternalLoadingError}
+ */
+function getSavingConfig(config, content, filePath, options) {
+    if (content === undefined) {
+        return config
+    }
+    let data = parseFileData(content, filePath, options.parsers)
+    return restoreUnits(config, data, options.schema)
+}
+
+/**
+ * Encrypt content of a configuration file by AES-256-GCM, the result is
+ * content of an encrypted configuration file.
+ *
+ * @param {string | Buffer} content - Content of a configuration file.
+ * @param {EncryptionOptions} encryption - Key file must have permission
+ * `0o600` or less.
+ * @return {Buffer}
+ * @throws {LoadingError}
+ */
+function encrypt(content, encryption) {
+    if (!Buffer.isBuffer(content) && (typeof content !== 'string')) {
+        throw new OptionError('content is not a string or buffer')
+    }
+    return encryptContent(content, getStandaloneKey(encryption))
+}
+
+/**
+ * Decrypt content of an encrypted configuration file from `encrypt()`.
+ *
+ * @param {Buffer} data - Content of an encrypted configuration file.
+ * @param {EncryptionOptions} encryption - Key file must have permission
+ * `0o600` or less.
+ * @return {string}
+ * @throws {LoadingError}
+ */
+function decrypt(data, encryption) {
+    if (!Buffer.isBuffer(data)) {
+        throw new OptionError('data is not a buffer')
+    }
+    let key = getStandaloneKey(encryption)
+    try {
+        return decryptContent(data, key)
+    }
+    catch (error) {
+        throw throwLoadingError(undefined, error)
+    }
+}
+
+/**
+ *
+ * @param {any} encryption - `EncryptionOptions`.
+ * @return {Buffer}
+ * @throws {LoadingError}
+ */
+function getStandaloneKey(encryption) {
+    if (!encryption || !isEncryptionOptions(encryption)) {
+        throw new OptionError('invalid option: encryption')
+    }
+    let options = {
+        encryption,
+        filePermission: 0o600,
+        fixPermission: false,
+        trust: undefined
+    }
+    try {
+        return readEncryptionKey(options)
+    }
+    catch (error) {
+        throw throwLoadingError(undefined, error)
+    }
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isValidWatchOptions(value) {
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    let {interval = 1000, ...others} = value
+    return Number.isInteger(interval) &&
+        (interval > 0) &&
+        (Object.keys(others).length === 0)
+}
+
+/**
+ * @param {Array<string>} filePaths - Paths to configuration files, ordered by
+ * priority, the last one is highest.
+ * @param {Options} options - Valid options.
+ * @return {any} Valid configuration.
+ * @throws {LoadingError}
+ */
+function loadSourceFiles(filePaths, options) {
+    let sources = filePaths.map(filePath => {
+        return loadSourceFile(filePath, options)
+    })
+    let config = buildConfiguration(sources, options)
+    for (let source of sources) {
+        try {
+            writeBackSource(source)
+        }
+        catch (error) {
+            throw throwLoadingError(source.filePath, error)
+        }
+    }
+    return config
+}
+
+/**
+ * @param {Array<string>} filePaths - Paths to configuration files, ordered by
+ * priority, the last one is highest.
+ * @param {Options} options - Valid options.
+ * @return {Promise<any>} Valid configuration.
+ * @throws {LoadingError}
+ */
+async function loadSourceFilesAsync(filePaths, options) {
+    let sources = await Promise.all(filePaths.map(filePath => {
+        return loadSourceFileAsync(filePath, options)
+    }))
+    let config = buildConfiguration(sources, options)
+    for (let source of sources) {
+        try {
+            await writeBackSourceAsync(source)
+        }
+        catch (error) {
+            throw throwLoadingError(source.filePath, error)
+        }
+    }
+    return config
+}
+
+/**
+ * Merge parsed data from configuration files, override it by environment
+ * variables and command line arguments, fill default values then validate
+ * it. Default values from schema are filled while validating.
+ *
+ * @param {Array<Source>} sources - Ordered by priority, the last one is
+ * highest. Parsed data from them is modified.
+ * @param {Options} options - Valid options.
+ * @return {any} Valid configuration.
+ * @throws {LoadingError}
+ */
+function buildConfiguration(sources, options) {
+    let {defaultValues, arrayMerge, parsers} = options
+    let filePath = (sources.length === 1) ? sources[0].filePath : undefined
+    try {
+        let records = options.provenance
+            ? collectFileProvenance(sources, parsers)
+            : undefined
+        let layers = sources.map(source => source.data)
+        let config = mergeLayers(layers, arrayMerge)
+        applyOverrides(config, options, records)
+        applyDefaultValues(config, defaultValues, records)
+        let validConfig = validateConfiguration(config, options)
+        return finalizeConfiguration(validConfig, sources, records, options)
+    }
+    catch (error) {
+        locateViolations(error, sources, parsers)
+        throw throwLoadingError(filePath, error)
+    }
+}
+
+/**
+ * @param {any} config - Valid configuration.
+ * @param {Array<Source>} sources - Ordered by priority, the last one is
+ * highest.
+ * @param {Map<string, Provenance> | undefined} records - Sources of values
+ * by JSON pointer, it is defined if option `provenance` is true.
+ * @param {Options} options - Valid options.
+ * @return {any} - Configuration, `ConfigurationAccessor` or `LoadingResult`
+ * which is specified by options `freeze`, `accessor`, `metadata` and
+ * `provenance`.
+ */
+function finalizeConfiguration(config, sources, records, options) {
+    let {schema, freeze, accessor, metadata} = options
+    let result = freeze ? deepFreeze(config) : config
+    if (accessor) {
+        result = new ConfigurationAccessor(result, schema)
+    }
+    if (!metadata && !records) {
+        return result
+    }
+    let loadingResult = {
+        config: result,
+        metadata: getMetadata(sources)
+    }
+    if (records) {
+        let provenance = completeProvenance(records, config)
+        loadingResult.metadata.provenance = provenance
+        loadingResult.explain = path => explainProvenance(provenance, path)
+    }
+    return loadingResult
+}
+
+/**
+ * @param {Array<Source>} sources - Ordered by priority, the last one is
+ * highest.
+ * @return {Metadata} - Without provenance.
+ */
+function getMetadata(sources) {
+    return {
+        filePaths: sources.map(source => source.filePath),
+        permissionFixes: sources
+            .filter(source => source.permissionFix)
+            .map(({filePath, permissionFix}) => {
+                return {filePath, ...permissionFix}
+            })
+    }
+}
+
+/**
+ * Add file path, line and column to each violation from validation. If a
+ * value is specified by many sources, the highest priority one is used.
+ *
+ * @param {any} error - Violations in labels are modified.
+ * @param {Array<Source>} sources - Ordered by priority, the last one is
+ * highest.
+ * @param {object} parsers - Parsers by file extension.
+ */
+function locateViolations(error, sources, parsers) {
+    if (!(error instanceof InternalLoadingError) || !error.labels.errors) {
+        return
+    }
+    let locatedSources = sources
+        .filter(source => isJsonFile(source.filePath, parsers))
+        .map(source => [source.filePath, findJsonLocations(source.content)])
+        .reverse()
+    for (let violation of error.labels.errors) {
+        for (let [filePath, locations] of locatedSources) {
+            let location = locations.get(violation.instancePath)
+            if (location) {
+                Object.assign(violation, {filePath}, location)
+                break
+            }
+        }
+    }
+}
+
+/**
+ * Override attributes by environment variables, then by command line
+ * arguments.
+ *
+ * @param {any} config - It is modified.
+ * @param {Options} options - Valid options.
+ * @param {Map<string, Provenance> | undefined} records - It is modified.
+ */
+function applyOverrides(config, options, records) {
+    let {schema, env, argv} = options
+    if (env) {
+        let overrides = applyEnvironmentVariables(config, schema, env)
+        recordOverrides(records, config, overrides, 'env')
+    }
+    if (argv) {
+        let overrides = applyArguments(config, schema, argv)
+        recordOverrides(records, config, overrides, 'argv')
+    }
+}
+
+/**
+ *
+ * @param {Map<string, Provenance> | undefined} records - It is modified.
+ * @param {any} config
+ * @param {Array<object>} overrides - From `applyEnvironmentVariables()` or
+ * `applyArguments()`.
+ * @param {string} source - `env` or `argv`.
+ */
+function recordOverrides(records, config, overrides, source) {
+    for (let {names, name} of overrides) {
+        recordProvenance(records, config, names, {source, name})
+    }
+}
+
+/**
+ *
+ * @param {any} config - It is modified.
+ * @param {object} defaultValues - From option `defaultValues`.
+ * @param {Map<string, Provenance> | undefined} records - It is modified.
+ */
+function applyDefaultValues(config, defaultValues, records) {
+    for (let key of setDefaultValues(config, defaultValues)) {
+        recordProvenance(records, config, lodash.toPath(key), {
+            source: 'defaultValues'
+        })
+    }
+}
+
+/**
+ * @param {Options} options - Valid options.
+ * @return {Array<string>} - Paths to configuration files, ordered by
+ * priority, the last one is highest.
+ * @throws {LoadingError}
+ */
+function getSourceFilePaths(options) {
+    let {dropIns, profile} = options
+    let extensions = getFragmentExtensions(options)
+    return getBaseFilePaths(options).flatMap(filePath => {
+        let profileFilePath = profile
+            ? getProfileFilePath(filePath, profile)
+            : undefined
+        return [
+            filePath,
+            ...(dropIns ? findDropInFilePaths(filePath, extensions) : []),
+            ...((profileFilePath && fs.existsSync(profileFilePath))
+                ? [profileFilePath]
+                : [])
+        ]
+    })
+}
+
+/**
+ * @param {Options} options - Valid options.
+ * @return {Promise<Array<string>>} - Paths to configuration files, ordered by
+ * priority, the last one is highest.
+ * @throws {LoadingError}
+ */
+async function getSourceFilePathsAsync(options) {
+    let {dropIns, profile} = options
+    let extensions = getFragmentExtensions(options)
+    let filePaths = await getBaseFilePathsAsync(options)
+    let groups = await Promise.all(filePaths.map(async filePath => {
+        let profileFilePath = profile
+            ? getProfileFilePath(filePath, profile)
+            : undefined
+        return [
+            filePath,
+            ...(dropIns
+                ? await findDropInFilePathsAsync(filePath, extensions)
+                : []),
+            ...((profileFilePath && await isExistedPath(profileFilePath))
+                ? [profileFilePath]
+                : [])
+        ]
+    }))
+    return groups.flat()
+}
+
+/**
+ * @param {Options} options - Valid options.
+ * @return {Array<string>} - Extensions of fragments in drop-in directories.
+ */
+function getFragmentExtensions(options) {
+    return lodash.uniq([
+        ...STANDARD_EXTENSIONS,
+        ...Object.keys(options.parsers).map(v => v.toLowerCase()),
+        ...(options.encryption ? [ENCRYPTED_EXTENSION] : [])
+    ])
+}
 
 /**
- * Pattern: `/^[a-zA-Z0-9]+$/`.
- *
- * @typedef {string} ConfigurationIdentity
+ * @param {Options} options - Valid options.
+ * @return {Array<string>} - Paths to configuration files without profile
+ * files and fragments, ordered by priority, the last one is highest.
+ * @throws {LoadingError}
  */
+function getBaseFilePaths(options) {
+    let {filePath} = options
+    if (filePath) {
+        return [untildify(filePath)]
+    }
+    let existedFilePaths = findStandardFilePaths(options)
+    return selectSourceFilePaths(existedFilePaths, options)
+}
 
 /**
- * Unsigned integer, less than or equal 0o7777.
- *
- * @typedef {number} FilePermission
+ * @param {Options} options - Valid options.
+ * @return {Promise<Array<string>>} - Paths to configuration files without
+ * profile files and fragments, ordered by priority, the last one is highest.
+ * @throws {LoadingError}
  */
+async function getBaseFilePathsAsync(options) {
+    let {filePath} = options
+    if (filePath) {
+        return [untildify(filePath)]
+    }
+    let existedFilePaths = await findStandardFilePathsAsync(options)
+    return selectSourceFilePaths(existedFilePaths, options)
+}
 
 /**
- * @typedef {object} Options
- * @property {ConfigurationIdentity} identity - Identity of configuration.
- * It is use for detecting path to configuration file. There are files to
- * load by order:
- * 1. `./config.json`.
- * 2. `~/config/{identity}/config.json`.
- * 3. `/etc/{identity}/config.json`.
- * @property {string} [filePath=undefined] - Override path to configuration
- * file, ignore attribute `identity`.
- * @property {object} [schema={}] - JSON schema that specifies configuration.
- * @property {object} [defaultValues={}] - Key-value pairs for default values,
- * it is the same as argument `path` from `lodash.set()`.
- * @property {FilePermission} [filePermission=0o0600] - If file permission is
- * greater than this one then throws error.
+ * @param {string} filePath - Path to base configuration file.
+ * @param {string} profile
+ * @return {string} - For example, `config.json` becomes
+ * `config.{profile}.json` and `config.json.enc` becomes
+ * `config.{profile}.json.enc`.
  */
+function getProfileFilePath(filePath, profile) {
+    let plainFilePath = getPlainFilePath(filePath)
+    let extension = path.extname(plainFilePath)
+    let basePath = plainFilePath.slice(
+        0,
+        plainFilePath.length - extension.length
+    )
+    let suffix = filePath.slice(plainFilePath.length)
+    return `${basePath}.${profile}${extension}${suffix}`
+}
 
 /**
- * Report error to outside of this package.
+ * @param {Array<string>} existedFilePaths - Paths to existed standard
+ * configuration files, ordered by priority, the first one is highest.
+ * @param {Options} options - Valid options.
+ * @return {Array<string>} - Paths to configuration files, ordered by
+ * priority, the last one is highest.
+ * @throws {LoadingError}
  */
-class LoadingError extends Error {
-    /**
-     *
-     * @param {string} message - Short description.
-     * @param {string | undefined} filePath - Path to configuration file.
-     * @param {object} labels - Additional information.
-     */
-    constructor(message, filePath = undefined, labels = {}) {
-        super(message)
-        this.name = 'LoadingError'
-        this.filePath = filePath
-        this.labels = labels
+function selectSourceFilePaths(existedFilePaths, options) {
+    let {layered, env} = options
+    if (existedFilePaths.length === 0 && env === undefined) {
+        let filePaths = getStandardFilePaths(options)
+        throw new NotFoundError('no configuration file', filePaths[0])
     }
+    return layered
+        ? Array.from(existedFilePaths).reverse()
+        : existedFilePaths.slice(0, 1)
 }
 
 /**
- * Throw error inside of this package.
+ * @param {string} filePath
+ * @param {Options} options - Valid options.
+ * @return {Source}
+ * @throws {LoadingError}
  */
-class InternalLoadingError extends Error {
-    /**
-     *
-     * @param {string} message
-     * @param {object} labels
-     */
-    constructor(message, labels = {}) {
-        super(message)
-        this.name = 'InternalLoadingError'
-        this.labels = labels
+function loadSourceFile(filePath, options) {
+    let {migration, parsers} = options
+    try {
+        let source = loadFile(filePath, options)
+        return migrateSource(source, migration, parsers)
+    }
+    catch (error) {
+        throw throwLoadingError(filePath, error)
     }
 }
 
 /**
- * Load and validate configuration file.
- *
- * @param {Options} [options={}] - Options for loading.
- * @return {any} Valid configuration from file.
+ * @param {string} filePath
+ * @param {Options} options - Valid options.
+ * @return {Promise<Source>}
  * @throws {LoadingError}
  */
-function load(options = {}) {
-    let {
-        filePath,
-        filePermission,
-        schema,
-        defaultValues
-    } = formatOptions(options)
+async function loadSourceFileAsync(filePath, options) {
+    let {migration, parsers} = options
     try {
-        let config = loadFile(filePath, filePermission)
-        validateConfiguration(config, schema)
-        setDefaultValues(config, defaultValues)
-        return config
+        let source = await loadFileAsync(filePath, options)
+        return migrateSource(source, migration, parsers)
     }
     catch (error) {
         throw throwLoadingError(filePath, error)
@@ -113,45 +1228,94 @@ function throwLoadingError(filePath, error) {
     if (!(error instanceof InternalLoadingError)) {
         throw error
     }
-    throw new LoadingError(error.message, filePath, error.labels)
+    throw toLoadingError(error, filePath)
+}
+
+/**
+ * Validators for attributes of `Options`, they are called by this order.
+ */
+const OPTION_VALIDATORS = {
+    identity: isValidIdentity,
+    filePath: isValidFilePath,
+    schema: isObject,
+    filePermission: isFilePermission,
+    fixPermission: isBoolean,
+    defaultValues: isObject,
+    layered: isBoolean,
+    arrayMerge: isArrayMergePolicy,
+    env: isEnvironmentOptions,
+    argv: isArguments,
+    parsers: isParsers,
+    allErrors: isBoolean,
+    profile: isValidProfile,
+    freeze: isBoolean,
+    accessor: isBoolean,
+    trust: isTrustOptions,
+    metadata: isBoolean,
+    searchPaths: isSearchPaths,
+    fileName: isFileName,
+    dropIns: isBoolean,
+    provenance: isBoolean,
+    migration: isMigrationOptions,
+    encryption: isEncryptionOptions
 }
 
 /**
  *
  * @param {any} options
+ * @param {Array<string>} [optionalAttributes=[]] - Attributes which are not
+ * validated if they are undefined.
  * @return {Options} - Valid options.
  * @throws {LoadingError}
  */
-function formatOptions(options = {}) {
+function formatOptions(options = {}, optionalAttributes = []) {
     validateOptionAttributes(options)
     let result = {
         filePath: undefined,
         schema: {},
         filePermission: 0o600,
-        defaultValues: {}
+        fixPermission: false,
+        defaultValues: {},
+        layered: false,
+        arrayMerge: 'replace',
+        parsers: {},
+        allErrors: false,
+        freeze: false,
+        accessor: false,
+        metadata: false,
+        dropIns: false,
+        provenance: false
     }
     Object.assign(result, options)
-    if (!isValidIdentity(result.identity)) {
-        throw new LoadingError('invalid option: identity')
-    }
-    if (!isValidFilePath(result.filePath)) {
-        throw new LoadingError('invalid option: filePath')
+    validateOptionValues(result, optionalAttributes)
+    if (result.profile === undefined) {
+        result.profile = getEnvironmentProfile()
     }
-    if (typeof result.schema !== 'object') {
-        throw new LoadingError('invalid option: schema')
-    }
-    if (!isFilePermission(result.filePermission)) {
-        throw new LoadingError('invalid option: filePermission')
-    }
-    if (typeof result.defaultValues !== 'object') {
-        throw new LoadingError('invalid option: defaultValues')
-    }
-    if (result.filePath === undefined) {
-        result.filePath = getStandardFilePath(result.identity)
+    if (result.argv) {
+        result.filePath = getFilePathArgument(result.argv) || result.filePath
     }
     return result
 }
 
+/**
+ *
+ * @param {object} options
+ * @param {Array<string>} optionalAttributes - Attributes which are not
+ * validated if they are undefined.
+ * @throws {LoadingError}
+ */
+function validateOptionValues(options, optionalAttributes) {
+    for (let [name, isValid] of Object.entries(OPTION_VALIDATORS)) {
+        let value = options[name]
+        if (optionalAttributes.includes(name) && (value === undefined)) {
+            continue
+        }
+        if (!isValid(value)) {
+            throw new OptionError(`invalid option: ${name}`)
+        }
+    }
+}
+
 /**
  *
  * @param {any} options
@@ -159,21 +1323,53 @@ function formatOptions(options = {}) {
  */
 function validateOptionAttributes(options) {
     if (typeof options !== 'object') {
-        throw new LoadingError('options is not a object')
-    }
-    let knownAttributes = [
-        'identity',
-        'filePath',
-        'schema',
-        'filePermission',
-        'defaultValues'
-    ]
+        throw new OptionError('options is not a object')
+    }
+    let knownAttributes = Object.keys(OPTION_VALIDATORS)
     let unknownAttribute = getUnknowwnAttribute(options, knownAttributes)
     if (unknownAttribute) {
-        throw new LoadingError(`unknown option: ${unknownAttribute}`)
+        throw new OptionError(`unknown option: ${unknownAttribute}`)
     }
 }
 
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isObject(value) {
+    return typeof value === 'object'
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isBoolean(value) {
+    return typeof value === 'boolean'
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isValidProfile(value) {
+    return (value === undefined) ||
+        (value === null) ||
+        ((typeof value === 'string') && /^[a-zA-Z0-9_-]+$/.test(value))
+}
+
+/**
+ * @return {string | undefined} - Valid profile from environment variable
+ * `NODE_ENV`.
+ */
+function getEnvironmentProfile() {
+    let profile = process.env.NODE_ENV
+    return (profile && isValidProfile(profile)) ? profile : undefined
+}
+
 /**
  *
  * @param {any} value
@@ -203,73 +1399,292 @@ function getUnknowwnAttribute(value, knownAttributes) {
 }
 
 /**
- *
- * @param {any} value
- * @return {boolean}
+ * @param {string} filePath - Override for configuration file path which is
+ * made from argument `name`.
+ * @param {Options} options - Valid options, attributes `filePermission`,
+ * `fixPermission`, `trust` and `parsers` are used.
+ * @return {Source}
+ * @throws {LoadingError}
  */
-function isUint(value) {
-    return Number.isInteger(value) && value >= 0
+function loadFile(filePath, options) {
+    if (isEncryptedFile(filePath)) {
+        return loadEncryptedFile(filePath, options)
+    }
+    let {content, permissionFix} = readFile(filePath, options)
+    let data = parseFileData(content, filePath, options.parsers)
+    return {filePath, data, content, permissionFix}
+}
+
+/**
+ * @param {string} filePath
+ * @param {Options} options - Valid options, attributes `filePermission`,
+ * `fixPermission`, `trust` and `parsers` are used.
+ * @return {Promise<Source>}
+ * @throws {LoadingError}
+ */
+async function loadFileAsync(filePath, options) {
+    if (isEncryptedFile(filePath)) {
+        return await loadEncryptedFileAsync(filePath, options)
+    }
+    let {content, permissionFix} = await readFileAsync(filePath, options)
+    let data = parseFileData(content, filePath, options.parsers)
+    return {filePath, data, content, permissionFix}
 }
 
 /**
+ * Attribute `content` of the result is decrypted content, it is kept in
+ * memory only.
  *
- * @param {any} value
- * @return {boolean}
+ * @param {string} filePath - Path to encrypted configuration file.
+ * @param {Options} options - Valid options, attributes `encryption`,
+ * `filePermission`, `fixPermission`, `trust` and `parsers` are used.
+ * @return {Source}
+ * @throws {LoadingError}
  */
-function isFilePermission(value) {
-    return isUint(value) && (value <= 0o7777)
+function loadEncryptedFile(filePath, options) {
+    let key = readEncryptionKey(options)
+    let {content: data, permissionFix} = readFile(filePath, options, null)
+    let content = decryptContent(data, key)
+    let parsedData = parseFileData(content, filePath, options.parsers)
+    return {filePath, data: parsedData, content, permissionFix}
 }
 
 /**
- * @param {string} filePath - Override for configuration file path which is
- * made from argument `name`.
- * @param {FilePermission} filePermission - If file permission is greater than
- * this one then throws error.
- * @return {any} - Parsed data of configuration file.
+ * The same as `loadEncryptedFile()` but uses `fs.promises`.
+ *
+ * @param {string} filePath - Path to encrypted configuration file.
+ * @param {Options} options - Valid options.
+ * @return {Promise<Source>}
  * @throws {LoadingError}
  */
-function loadFile(filePath, filePermission) {
-    let data = readFile(filePath, filePermission)
-    return parseFileData(data)
+async function loadEncryptedFileAsync(filePath, options) {
+    let key = await readEncryptionKeyAsync(options)
+    let {content: data, permissionFix} = await readFileAsync(
+        filePath,
+        options,
+        null
+    )
+    let content = decryptContent(data, key)
+    let parsedData = parseFileData(content, filePath, options.parsers)
+    return {filePath, data: parsedData, content, permissionFix}
+}
+
+/**
+ * Errors of the key file are reported with path to the key file.
+ *
+ * @param {Options} options - Valid options, attributes `encryption`,
+ * `filePermission`, `fixPermission` and `trust` are used.
+ * @return {Buffer}
+ * @throws {LoadingError | InternalLoadingError}
+ */
+function readEncryptionKey(options) {
+    let {encryption} = options
+    if (!encryption) {
+        throw new InternalLoadingError(
+            'no encryption key',
+            ERROR_CODES.DECRYPTION
+        )
+    }
+    if (encryption.keyEnv !== undefined) {
+        return getEnvironmentKey(encryption.keyEnv)
+    }
+    let keyFile = untildify(encryption.keyFile)
+    try {
+        return parseKey(readFile(keyFile, options).content)
+    }
+    catch (error) {
+        throw throwLoadingError(keyFile, error)
+    }
+}
+
+/**
+ * The same as `readEncryptionKey()` but uses `fs.promises`.
+ *
+ * @param {Options} options - Valid options.
+ * @return {Promise<Buffer>}
+ * @throws {LoadingError | InternalLoadingError}
+ */
+async function readEncryptionKeyAsync(options) {
+    let {encryption} = options
+    if (!encryption) {
+        throw new InternalLoadingError(
+            'no encryption key',
+            ERROR_CODES.DECRYPTION
+        )
+    }
+    if (encryption.keyEnv !== undefined) {
+        return getEnvironmentKey(encryption.keyEnv)
+    }
+    let keyFile = untildify(encryption.keyFile)
+    try {
+        return parseKey((await readFileAsync(keyFile, options)).content)
+    }
+    catch (error) {
+        throw throwLoadingError(keyFile, error)
+    }
+}
+
+/**
+ *
+ * @param {string} keyEnv - Name of environment variable.
+ * @return {Buffer}
+ * @throws {InternalLoadingError}
+ */
+function getEnvironmentKey(keyEnv) {
+    let value = process.env[keyEnv]
+    if (!value) {
+        throw new InternalLoadingError(
+            'no encryption key',
+            ERROR_CODES.DECRYPTION,
+            {keyEnv}
+        )
+    }
+    return parseKey(value)
 }
 
 /**
  *
  * @param {string} filePath - Override path to configuration file
  * which is made from argument `name`.
- * @param {FilePermission} filePermission - If file permission is greater than
- * this one then throws error.
- * @return {string} - File content.
+ * @param {Options} options - Valid options, attributes `filePermission`,
+ * `fixPermission` and `trust` are used.
+ * @param {string | null} [encoding='utf-8'] - Null means attribute
+ * `content` of the result is a `Buffer`.
+ * @return {object} - Has attributes `content` and `permissionFix`.
  * @throws {LoadingError}
  */
-function readFile(filePath, filePermission = 0o600) {
+function readFile(filePath, options, encoding = 'utf-8') {
+    let {filePermission, fixPermission, trust} = options
     try {
         let fileStat = fs.statSync(filePath)
-        if (!fileStat.isFile()) {
-            throw new LoadingError('not a regular file', filePath)
-        }
-        let actualPermission = fileStat.mode & 0o0777
-        if (actualPermission > filePermission) {
-            throw new LoadingError(
-                'file permission is too open',
-                filePath,
-                {
-                    upperBoundary: toOctal(filePermission),
-                    actual: toOctal(actualPermission)
-                }
-            )
+        validateFileType(filePath, fileStat)
+        let permissionFix = checkFileMode(
+            fileStat.mode,
+            filePermission,
+            fixPermission
+        )
+        if (permissionFix) {
+            fs.chmodSync(filePath, permissionFix.to)
+            fileStat = fs.statSync(filePath)
         }
-        return fs.readFileSync(filePath, 'utf-8')
+        validateTrust(filePath, fileStat, trust)
+        let content = fs.readFileSync(filePath, encoding)
+        return {content, permissionFix}
     }
     catch (error) {
-        if (error && error.errno === -2) {
-            throw new LoadingError(
-                'file is not existed or access denied',
-                filePath
-            )
+        throwFileAccessError(filePath, error)
+    }
+}
+
+/**
+ * @param {string} filePath
+ * @param {Options} options - Valid options, attributes `filePermission`,
+ * `fixPermission` and `trust` are used.
+ * @param {string | null} [encoding='utf-8'] - Null means attribute
+ * `content` of the result is a `Buffer`.
+ * @return {Promise<object>} - Has attributes `content` and `permissionFix`.
+ * @throws {LoadingError}
+ */
+async function readFileAsync(filePath, options, encoding = 'utf-8') {
+    let {filePermission, fixPermission, trust} = options
+    try {
+        let fileStat = await fs.promises.stat(filePath)
+        validateFileType(filePath, fileStat)
+        let permissionFix = checkFileMode(
+            fileStat.mode,
+            filePermission,
+            fixPermission
+        )
+        if (permissionFix) {
+            await fs.promises.chmod(filePath, permissionFix.to)
+            fileStat = await fs.promises.stat(filePath)
         }
+        await validateTrustAsync(filePath, fileStat, trust)
+        let content = await fs.promises.readFile(filePath, encoding)
+        return {content, permissionFix}
+    }
+    catch (error) {
+        throwFileAccessError(filePath, error)
+    }
+}
+
+/**
+ * @param {string} filePath
+ * @param {fs.Stats} fileStat
+ * @throws {LoadingError}
+ */
+function validateFileType(filePath, fileStat) {
+    if (!fileStat.isFile()) {
+        throw new UnsupportedFileError('not a regular file', filePath)
+    }
+}
+
+/**
+ * Errors from `fs` which are not in `FILE_ACCESS_ERRORS` are reported as
+ * `FileSystemError` with message `can not read file`.
+ *
+ * @param {string} filePath
+ * @param {any} error - Throw while accessing configuration file.
+ * @throws {LoadingError}
+ */
+function throwFileAccessError(filePath, error) {
+    if (isPackageError(error)) {
         throw error
     }
+    let ErrorClass = FILE_ACCESS_ERRORS[error && error.code]
+    if (ErrorClass) {
+        throw new ErrorClass(
+            'file is not existed or access denied',
+            filePath,
+            {},
+            {cause: error}
+        )
+    }
+    throw new FileSystemError(
+        'can not read file',
+        filePath,
+        {reason: (error instanceof Error) ? error.message : String(error)},
+        {cause: error}
+    )
+}
+
+/**
+ *
+ * @param {any} error
+ * @return {boolean} - True if the error is thrown by this package.
+ */
+function isPackageError(error) {
+    return (error instanceof LoadingError) ||
+        (error instanceof InternalLoadingError)
+}
+
+/**
+ * Subclasses of `LoadingError` by codes of errors from `fs`.
+ */
+const FILE_ACCESS_ERRORS = {
+    ENOENT: NotFoundError,
+    EACCES: PermissionError,
+    EPERM: PermissionError
+}
+
+/**
+ * @param {Options} options - Attributes `identity`, `searchPaths` and
+ * `fileName` are used.
+ * @return {Array<Array<string>>} - Paths to configuration files in each
+ * location, ordered by priority.
+ */
+function getStandardLocations(options) {
+    return getSearchLocations(options)
+}
+
+/**
+ * @param {Options} options - Attributes `identity`, `searchPaths` and
+ * `fileName` are used.
+ * @return {Array<string>} - Paths to configuration files, ordered by
+ * priority.
+ */
+function getStandardFilePaths(options) {
+    return getStandardLocations(options).flat()
 }
 
 /**
@@ -283,97 +1698,230 @@ function getStandardFilePath(configurationId, overridePath = undefined) {
     if (overridePath) {
         return untildify(overridePath)
     }
-    let cwdFilePath = untildify('./config.json')
-    if (fs.existsSync(cwdFilePath)) {
-        return cwdFilePath
-    }
-    let userFilePath = untildify(`~/.config/${configurationId}/config.json`)
-    if (fs.existsSync(userFilePath)) {
-        return userFilePath
-    }
-    let systemFilePath = untildify(`/etc/${configurationId}/config.json`)
-    if (fs.existsSync(systemFilePath)) {
-        return systemFilePath
+    let options = {identity: configurationId}
+    let [filePath] = findStandardFilePaths(options)
+    if (filePath === undefined) {
+        let filePaths = getStandardFilePaths(options)
+        throw new NotFoundError('no configuration file', filePaths[0])
     }
-    throw new LoadingError('no configuration file', cwdFilePath)
+    return filePath
 }
 
 /**
- * Convert CommentArray from `commentJson.parse()` to built-in `Array`.
- *
- * @param {any} _key
- * @param {any} value
- * @return {any}
+ * @param {Options} options - Attributes `identity`, `searchPaths` and
+ * `fileName` are used.
+ * @return {Array<string>} - Paths to existed configuration files, at most
+ * one per location, ordered by priority, the first one is highest.
  */
-function normalizeCommentArray(_key, value) {
-    if (value instanceof commentJson.CommentArray) {
-        return Array.from(value)
-    }
-    else {
-        return value
+function findStandardFilePaths(options) {
+    return getStandardLocations(options)
+        .map(filePaths => filePaths.find(filePath => fs.existsSync(filePath)))
+        .filter(filePath => filePath !== undefined)
+}
+
+/**
+ * @param {Options} options - Attributes `identity`, `searchPaths` and
+ * `fileName` are used.
+ * @return {Promise<Array<string>>} - Paths to existed configuration files, at
+ * most one per location, ordered by priority, the first one is highest.
+ */
+async function findStandardFilePathsAsync(options) {
+    let locations = getStandardLocations(options)
+    let filePaths = await Promise.all(locations.map(findExistedPath))
+    return filePaths.filter(filePath => filePath !== undefined)
+}
+
+/**
+ * @param {Array<string>} filePaths
+ * @return {Promise<string | undefined>} - The first existed path.
+ */
+async function findExistedPath(filePaths) {
+    for (let filePath of filePaths) {
+        if (await isExistedPath(filePath)) {
+            return filePath
+        }
     }
+    return undefined
 }
 
 /**
+ * Asynchronous version of `fs.existsSync()`.
  *
- * @param {string} data
- * @return {any}
- * @throws {InternalLoadingError}
+ * @param {string} filePath
+ * @return {Promise<boolean>}
  */
-function parseFileData(data) {
+async function isExistedPath(filePath) {
     try {
-        return commentJson.parse(data, normalizeCommentArray, true)
+        await fs.promises.access(filePath)
+        return true
     }
-    catch (error) {
-        throwJsonParsingError(error)
+    catch {
+        return false
     }
 }
 
 /**
+ * Validate configuration and fill default values from keyword `default` of
+ * schema, then convert strings of keyword `unit`. The schema is compiled each
+ * time, except options from `createLoader()` which have compiled attribute
+ * `validator`.
  *
- * @param {number} value
- * @return {string} - Octal string with prefix `0o`.
+ * @param {any} conf - It is modified by filling default values.
+ * @param {Options} options - Valid options.
+ * @return {any} - Valid configuration, it is a copy if there are converted
+ * values.
+ * @throws {InternalLoadingError}
  */
-function toOctal(value) {
-    return '0o' + value.toString(8)
+function validateConfiguration(conf, options) {
+    let {schema, allErrors, validator} = options
+    let validate = validator || compileSchema(schema, {allErrors})
+    if (!validate(conf)) {
+        throwBadAttributeError(validate.errors, schema, allErrors)
+    }
+    return convertUnits(conf, schema)
 }
 
 /**
- *
- * @param {any} conf
  * @param {object} schema
+ * @param {object} [ajvConfig={}] - Has optional attributes `allErrors`,
+ * `ajvOptions`, `formats` and `keywords` those are the same as
+ * `LoaderOptions`.
+ * @return {Function} - Validate function from `ajv`.
  * @throws {InternalLoadingError}
  */
-function validateConfiguration(conf, schema) {
+function compileSchema(schema, ajvConfig = {}) {
+    let ajv = createAjv(ajvConfig)
     try {
-        let ajv = new Ajv()
-        ajvFormats(ajv)
-        let valid = ajv.validate(schema, conf)
-        if (!valid) {
-            throwBadAttributeError(ajv.errors)
-        }
+        let validate = ajv.compile(schema)
+        validateUnitReferences(schema, ajv)
+        return validate
     }
     catch (error) {
         if (error instanceof Ajv.MissingRefError) {
             throwMissingSchemaRefereneError(error)
         }
-        if (isAjvStrictModeError(error)) {
-            throw new InternalLoadingError('bad schema', {
-                message: error.message
-            })
+        if (isAjvSchemaError(error)) {
+            throw new InternalLoadingError(
+                'bad schema',
+                ERROR_CODES.INVALID_OPTION,
+                {message: error.message},
+                {cause: error}
+            )
         }
         throw error
     }
 }
 
+/**
+ * Option `useDefaults` is true unless it is overridden by `ajvOptions`.
+ * Keyword `default` which is ignored by `useDefaults`, for example in
+ * `anyOf`, is not an error of strict mode, other errors of strict mode are
+ * still thrown by `AJV_LOGGER`.
+ *
+ * @param {object} ajvConfig - The same as `compileSchema()`.
+ * @return {Ajv}
+ * @throws {InternalLoadingError}
+ */
+function createAjv(ajvConfig) {
+    let {allErrors = false, ajvOptions, formats = {}, keywords = []} = ajvConfig
+    let strictOptions = isDefaultStrictMode(ajvOptions)
+        ? {strictSchema: 'log', logger: AJV_LOGGER}
+        : {}
+    try {
+        let ajv = new Ajv({
+            useDefaults: true,
+            ...strictOptions,
+            ...ajvOptions,
+            allErrors
+        })
+        ajvFormats(ajv)
+        ajv.addKeyword(SECRET_KEYWORD)
+        ajv.addKeyword(UNIT_KEYWORD)
+        for (let [name, format] of Object.entries(formats)) {
+            ajv.addFormat(name, format)
+        }
+        for (let keyword of keywords) {
+            ajv.addKeyword(keyword)
+        }
+        return ajv
+    }
+    catch (error) {
+        throw new InternalLoadingError(
+            'bad ajv options',
+            ERROR_CODES.INVALID_OPTION,
+            {message: error.message},
+            {cause: error}
+        )
+    }
+}
+
+/**
+ * Logger for `ajv` which has option `strictSchema` is `log`.
+ */
+const AJV_LOGGER = {
+    log: (...args) => console.log(...args),
+    warn: warnAjvStrictMode,
+    error: (...args) => console.error(...args)
+}
+
+/**
+ *
+ * @param {object | undefined} ajvOptions - From `LoaderOptions`.
+ * @return {boolean} - True if strict mode and logger of `ajv` are not
+ * specified.
+ */
+function isDefaultStrictMode(ajvOptions = {}) {
+    return ['strict', 'strictSchema', 'logger'].every(name => {
+        return !Object.prototype.hasOwnProperty.call(ajvOptions, name)
+    })
+}
+
+/**
+ * Warnings of options `strictTypes`, `strictTuples` and `strictRequired` of
+ * `ajv`, they are logged by default so they are not thrown.
+ */
+const AJV_LOGGED_STRICT_MODE = /\((strictTypes|strictRequired)\)$|-tuple, but /
+
+/**
+ * Warnings of ignored keyword `default` are dropped, other warnings of
+ * option `strictSchema` are thrown as `ajv` does by default.
+ *
+ * @param {any} message
+ * @param {...any} others
+ * @throws {Error} - Warning of option `strictSchema`.
+ */
+function warnAjvStrictMode(message, ...others) {
+    if (!isAjvStrictSchemaWarning(message)) {
+        console.warn(message, ...others)
+        return
+    }
+    if (!/^strict mode: default is ignored/.test(message)) {
+        throw new Error(message)
+    }
+}
+
 /**
+ *
+ * @param {any} message - Warning from `ajv`.
+ * @return {boolean}
+ */
+function isAjvStrictSchemaWarning(message) {
+    return (typeof message === 'string') &&
+        /^strict mode:/.test(message) &&
+        !AJV_LOGGED_STRICT_MODE.test(message)
+}
+
+/**
+ * Errors of strict mode, meta-schema and values of custom keywords, for
+ * example keyword `unit` is not `duration` or `bytes`.
  *
  * @param {Error} error
  * @return {boolean}
  */
-function isAjvStrictModeError(error) {
+function isAjvSchemaError(error) {
     return error instanceof Error &&
-        /^strict mode:/.test(error.message)
+        /^(strict mode:|schema is invalid:|keyword "[^"]+" value is invalid)/
+            .test(error.message)
 }
 
 /**
@@ -382,56 +1930,57 @@ function isAjvStrictModeError(error) {
  * @param {object} conf
  * @param {object} defaultValues - Pair key-value, where key is attribute name
  * and value is it's default value.
+ * @return {Array<string>} - Keys of attributes which are set.
  */
 function setDefaultValues(conf, defaultValues) {
-    for (let key of Object.keys(defaultValues)) {
-        setDefaultValue(conf, defaultValues, key)
-    }
+    return Object.keys(defaultValues).filter(key => {
+        return setDefaultValue(conf, defaultValues, key)
+    })
 }
 
 /**
- * Set default value for an attribute in configuration.
+ * Set copy of default value for an attribute in configuration. The copy is
+ * modified later by filling, converting and freezing, option
+ * `defaultValues` of the caller is kept.
  *
  * @param {object} conf
  * @param {object} defaultValues - Pair key-value, where key is attribute name
  * and value is it's default value.
  * @param {string} key - Follow `set()` from `lodash`.
+ * @return {boolean} - True if the attribute is set.
  */
 function setDefaultValue(conf, defaultValues, key) {
     let v = lodash.get(conf, key)
     if (v === undefined) {
-        lodash.set(conf, key, defaultValues[key])
+        lodash.set(conf, key, lodash.cloneDeep(defaultValues[key]))
+        return true
     }
+    return false
 }
 
 /**
+ * Violations of secret values are redacted by `redactViolation()`.
  *
- * @param {Error} error - Throw by `parse()` from `comment-json`.
- * Unfortunately, hanlding is complex because of the function throws errors
- * inconsistency.
- * @throws {InternalLoadingError}
- */
-function throwJsonParsingError(error) {
-    if ((error instanceof Error) === false) {
-        throw new InternalLoadingError('comment-json throws bad object')
-    }
-    let line = error.line || error.lineNumber
-    let {column} = error
-    if (!isUint(line) || !isUint(column)) {
-        throw new InternalLoadingError('comment-josn throws bad error')
-    }
-    throw new InternalLoadingError('invalid JSON format', {line, column})
-}
-
-/**
  * @param {Array<Ajv.ValidationError>} errors
+ * @param {object} schema - JSON schema of configuration.
+ * @param {boolean} allErrors - Report all of errors instead of the first one.
  * @throws {InternalLoadingError}
  */
-function throwBadAttributeError(errors) {
+function throwBadAttributeError(errors, schema, allErrors = false) {
     if (!Array.isArray(errors) || errors.length <= 0) {
         throw new Error('invalid ajv validation errors')
     }
-    throw new InternalLoadingError('bad attribute', errors[0])
+    if (!allErrors) {
+        let violation = redactViolation(errors[0], schema)
+        throw new InternalLoadingError(
+            'bad attribute',
+            ERROR_CODES.SCHEMA,
+            violation
+        )
+    }
+    throw new InternalLoadingError('bad attribute', ERROR_CODES.SCHEMA, {
+        errors: errors.map(error => redactViolation(error, schema))
+    })
 }
 
 /**
@@ -446,11 +1995,13 @@ function throwMissingSchemaRefereneError(error) {
     let {missingRef, missingSchema, message} = error
     throw new InternalLoadingError(
         'bad schema',
+        ERROR_CODES.INVALID_OPTION,
         {
             reference: missingRef,
             schema: missingSchema,
             message: message
-        }
+        },
+        {cause: error}
     )
 }
 
@@ -477,7 +2028,31 @@ function isNonEmptyString(value) {
 
 module.exports = {
     load,
+    loadAsync,
+    watch,
+    which,
+    save,
+    saveAsync,
+    createLoader,
+    encrypt,
+    decrypt,
+    generateTemplate,
+    generateTypes,
+    redact,
+    ERROR_CODES,
     LoadingError,
+    NotFoundError,
+    PermissionError,
+    ParseError,
+    SchemaError,
+    OptionError,
+    DecryptionError,
+    MigrationError,
+    FileSystemError,
+    UnsupportedFileError,
+    AttributeError,
+    ConfigurationWatcher,
+    ConfigurationAccessor,
     _private: {
         getStandardFilePath
     }
@@ -0,0 +1,117 @@
+'use strict'
+
+const commentJson = require('comment-json')
+
+/**
+ * Position of a value in content of configuration file.
+ *
+ * @typedef {object} Location
+ * @property {number} line - Start from 1.
+ * @property {number} column - Start from 0.
+ */
+
+/**
+ * Find locations of all values in JSON content with comments.
+ *
+ * @param {string} data - Valid JSON content with comments.
+ * @return {Map<string, Location>} - Key is JSON pointer to a value, for
+ * example `/db/port`. If `data` is invalid then it is empty.
+ */
+function findJsonLocations(data) {
+    let locations = new Map()
+    try {
+        let tokens = commentJson.tokenize(data)
+            .filter(token => !token.type.endsWith('Comment'))
+        walkValue({tokens, index: 0, locations}, '')
+    }
+    catch {
+        locations.clear()
+    }
+    return locations
+}
+
+/**
+ *
+ * @param {object} state - Tokens, index of current token and result.
+ * @param {string} pointer - JSON pointer to current value.
+ */
+function walkValue(state, pointer) {
+    let token = state.tokens[state.index++]
+    state.locations.set(pointer, {
+        line: token.loc.start.line,
+        column: token.loc.start.column
+    })
+    if (token.value === '{') {
+        walkObject(state, pointer)
+    }
+    else if (token.value === '[') {
+        walkArray(state, pointer)
+    }
+    else if (token.value === '-' || token.value === '+') {
+        state.index++
+    }
+}
+
+/**
+ *
+ * @param {object} state
+ * @param {string} pointer - JSON pointer to the object.
+ */
+function walkObject(state, pointer) {
+    for (;;) {
+        let token = state.tokens[state.index++]
+        if (token.value === '}') {
+            return
+        }
+        if (token.value === ',') {
+            continue
+        }
+        let name = JSON.parse(token.value)
+        state.index++
+        walkValue(state, `${pointer}/${escapePointer(name)}`)
+    }
+}
+
+/**
+ *
+ * @param {object} state
+ * @param {string} pointer - JSON pointer to the array.
+ */
+function walkArray(state, pointer) {
+    let itemIndex = 0
+    for (;;) {
+        let token = state.tokens[state.index]
+        if (token.value === ']') {
+            state.index++
+            return
+        }
+        if (token.value === ',') {
+            state.index++
+            continue
+        }
+        walkValue(state, `${pointer}/${itemIndex++}`)
+    }
+}
+
+/**
+ *
+ * @param {Array<string>} names - Attribute names from the root.
+ * @return {string} - JSON pointer, for example `/db/port`.
+ */
+function toJsonPointer(names) {
+    return names.map(name => `/${escapePointer(name)}`).join('')
+}
+
+/**
+ *
+ * @param {string} name - Attribute name.
+ * @return {string} - Escaped name for JSON pointer.
+ */
+function escapePointer(name) {
+    return name.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+module.exports = {
+    findJsonLocations,
+    toJsonPointer
+}
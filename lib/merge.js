@@ -0,0 +1,79 @@
+'use strict'
+
+const lodash = require('lodash')
+
+/**
+ * How arrays are merged when the same attribute is specified by many layers.
+ * `replace`: array from higher layer replaces the one from lower layer.
+ * `concat`: array from higher layer is appended to the one from lower layer.
+ *
+ * @typedef {string} ArrayMergePolicy
+ */
+
+const ARRAY_MERGE_POLICIES = ['replace', 'concat']
+
+/**
+ * Deep merge configuration layers.
+ *
+ * @param {Array<any>} layers - Ordered by priority, the last one is highest.
+ * @param {ArrayMergePolicy} arrayMerge
+ * @return {any} - Empty object if there are no layers.
+ */
+function mergeLayers(layers, arrayMerge = 'replace') {
+    return layers.reduce(
+        (result, layer) => mergeLayer(result, layer, arrayMerge),
+        {}
+    )
+}
+
+/**
+ *
+ * @param {any} lower
+ * @param {any} higher
+ * @param {ArrayMergePolicy} arrayMerge
+ * @return {any}
+ */
+function mergeLayer(lower, higher, arrayMerge) {
+    if (!lodash.isPlainObject(lower) || !lodash.isPlainObject(higher)) {
+        return higher
+    }
+    return lodash.mergeWith(
+        lower,
+        higher,
+        (lowerValue, higherValue) => {
+            return mergeArray(lowerValue, higherValue, arrayMerge)
+        }
+    )
+}
+
+/**
+ * Customizer for `lodash.mergeWith()`.
+ *
+ * @param {any} lowerValue
+ * @param {any} higherValue
+ * @param {ArrayMergePolicy} arrayMerge
+ * @return {any} - Undefined means merging is handled by `lodash.mergeWith()`.
+ */
+function mergeArray(lowerValue, higherValue, arrayMerge) {
+    if (!Array.isArray(higherValue)) {
+        return undefined
+    }
+    if (arrayMerge === 'concat' && Array.isArray(lowerValue)) {
+        return lowerValue.concat(higherValue)
+    }
+    return higherValue
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isArrayMergePolicy(value) {
+    return ARRAY_MERGE_POLICIES.includes(value)
+}
+
+module.exports = {
+    mergeLayers,
+    isArrayMergePolicy
+}
@@ -0,0 +1,305 @@
+'use strict'
+
+const lodash = require('lodash')
+const commentJson = require('comment-json')
+const {InternalLoadingError, ERROR_CODES} = require('./error')
+const {isJsonFile, parseFileData} = require('./parser')
+const {isEncryptedFile} = require('./encryption')
+const {
+    writeFileAtomic,
+    writeFileAtomicAsync,
+    stringifyJson
+} = require('./writer')
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isMigrationOptions(value) {
+    if (value === undefined) {
+        return true
+    }
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    let {
+        version,
+        migrations = {},
+        attribute = 'version',
+        writeBack = false,
+        ...others
+    } = value
+    return isVersion(version) &&
+        isMigrations(migrations, version) &&
+        (typeof attribute === 'string') &&
+        (attribute.length > 0) &&
+        (typeof writeBack === 'boolean') &&
+        (Object.keys(others).length === 0)
+}
+
+/**
+ *
+ * @param {any} value
+ * @param {number} version - Current version.
+ * @return {boolean}
+ */
+function isMigrations(value, version) {
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    return Object.entries(value).every(([key, migrate]) => {
+        return /^[1-9][0-9]*$/.test(key) &&
+            (Number(key) < version) &&
+            (typeof migrate === 'function')
+    })
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isVersion(value) {
+    return Number.isSafeInteger(value) && value >= 1
+}
+
+/**
+ * Upgrade data of a configuration file to current version. Files are not
+ * written here, `writeBackSource()` is called after the configuration is
+ * valid, so a failed loading does not change files.
+ *
+ * @param {object} source - Loaded configuration file, it has attributes
+ * `filePath`, `data` and `content`.
+ * @param {object | undefined} migration - Valid `MigrationOptions`, nothing
+ * is done if it is undefined.
+ * @param {object} parsers - Parsers by file extension.
+ * @return {object} - The source if it is not upgraded, otherwise a copy
+ * which has upgraded data. Attribute `isUpgraded` of the copy is true if
+ * its content should be written back.
+ * @throws {InternalLoadingError}
+ */
+function migrateSource(source, migration, parsers) {
+    let upgradedSource = upgradeSource(source, migration, parsers)
+    if (!upgradedSource) {
+        return source
+    }
+    if (upgradedSource.content !== source.content) {
+        upgradedSource.isUpgraded = true
+    }
+    return upgradedSource
+}
+
+/**
+ * Write upgraded content from `migrateSource()` back atomically.
+ *
+ * @param {object} source - Result of `migrateSource()`.
+ * @throws {InternalLoadingError}
+ */
+function writeBackSource(source) {
+    if (source.isUpgraded) {
+        writeFileAtomic(source.filePath, source.content)
+    }
+}
+
+/**
+ * The same as `writeBackSource()` but uses `fs.promises`.
+ *
+ * @param {object} source - Result of `migrateSource()`.
+ * @return {Promise<void>}
+ * @throws {InternalLoadingError}
+ */
+async function writeBackSourceAsync(source) {
+    if (source.isUpgraded) {
+        await writeFileAtomicAsync(source.filePath, source.content)
+    }
+}
+
+/**
+ * Only JSON files are written back, because comments of other formats can
+ * not be kept. Encrypted files are not written back, because their content
+ * must not be written as plain text.
+ *
+ * @param {object} source - Loaded configuration file.
+ * @param {object | undefined} migration - Valid `MigrationOptions`.
+ * @param {object} parsers - Parsers by file extension.
+ * @return {object | undefined} - Copy of the source which has upgraded data.
+ * Its content is changed if it should be written back. It is undefined if
+ * the source is in current version.
+ * @throws {InternalLoadingError}
+ */
+function upgradeSource(source, migration, parsers) {
+    if (!migration) {
+        return undefined
+    }
+    let {filePath, data, content} = source
+    if (!migration.writeBack || !isWritableFile(filePath, parsers)) {
+        let upgradedData = upgradeData(data, migration)
+        return upgradedData && {...source, data: upgradedData}
+    }
+    let upgradedData = upgradeData(commentJson.parse(content), migration)
+    if (!upgradedData) {
+        return undefined
+    }
+    let upgradedContent = stringifyJson(upgradedData, content)
+    return {
+        ...source,
+        data: parseFileData(upgradedContent, filePath, parsers),
+        content: upgradedContent
+    }
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @param {object} parsers - Parsers by file extension.
+ * @return {boolean}
+ */
+function isWritableFile(filePath, parsers) {
+    return !isEncryptedFile(filePath) && isJsonFile(filePath, parsers)
+}
+
+/**
+ * Data which is not an object is not upgraded, it is reported by validation.
+ *
+ * @param {any} data - Parsed data from a configuration file.
+ * @param {object} migration - Valid `MigrationOptions`.
+ * @return {object | undefined} - Upgraded data, it is undefined if the data
+ * is in current version.
+ * @throws {InternalLoadingError}
+ */
+function upgradeData(data, migration) {
+    let {version, migrations = {}, attribute = 'version'} = migration
+    if (!lodash.isPlainObject(data)) {
+        return undefined
+    }
+    let dataVersion = getDataVersion(data, attribute)
+    if (dataVersion === version) {
+        return undefined
+    }
+    if (dataVersion > version) {
+        throwUnsupportedVersionError(dataVersion, version)
+    }
+    let result = data
+    for (let current = dataVersion; current < version; ++current) {
+        if (typeof migrations[current] !== 'function') {
+            throwUnsupportedVersionError(dataVersion, version)
+        }
+        result = runMigration(migrations[current], result, current)
+    }
+    result[attribute] = version
+    return result
+}
+
+/**
+ * Data without attribute version is version `1`.
+ *
+ * @param {object} data
+ * @param {string} attribute - Name of attribute version.
+ * @return {number}
+ * @throws {InternalLoadingError}
+ */
+function getDataVersion(data, attribute) {
+    let value = Object.prototype.hasOwnProperty.call(data, attribute)
+        ? data[attribute]
+        : 1
+    if (!isVersion(value)) {
+        throw new InternalLoadingError(
+            'invalid configuration version',
+            ERROR_CODES.MIGRATION,
+            {version: value}
+        )
+    }
+    return value
+}
+
+/**
+ * Comments are copied to the result, so functions which return a new object
+ * keep comments of attributes which are not renamed.
+ *
+ * @param {Function} migrate - Upgrade data from a version to the next one.
+ * @param {object} data
+ * @param {number} version - Version of the data.
+ * @return {object} - Upgraded data.
+ * @throws {InternalLoadingError}
+ */
+function runMigration(migrate, data, version) {
+    let result
+    try {
+        result = migrate(data)
+    }
+    catch (error) {
+        throw new InternalLoadingError(
+            'migration failed',
+            ERROR_CODES.MIGRATION,
+            {
+                version,
+                reason: (error instanceof Error) ? error.message : String(error)
+            },
+            {cause: error}
+        )
+    }
+    if (!lodash.isPlainObject(result)) {
+        throw new InternalLoadingError(
+            'migration returns non object',
+            ERROR_CODES.MIGRATION,
+            {version}
+        )
+    }
+    copyComments(data, result)
+    return result
+}
+
+/**
+ * Comments from `comment-json` are non-enumerable symbol attributes, they
+ * are not copied by spread syntax.
+ *
+ * @param {any} from
+ * @param {any} to - It is modified.
+ */
+function copyComments(from, to) {
+    if (from === to || !isObject(from) || !isObject(to)) {
+        return
+    }
+    for (let symbol of Object.getOwnPropertySymbols(from)) {
+        if (!Object.prototype.hasOwnProperty.call(to, symbol)) {
+            let descriptor = Object.getOwnPropertyDescriptor(from, symbol)
+            Object.defineProperty(to, symbol, descriptor)
+        }
+    }
+    for (let name of Object.keys(from)) {
+        if (Object.prototype.hasOwnProperty.call(to, name)) {
+            copyComments(from[name], to[name])
+        }
+    }
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object'
+}
+
+/**
+ *
+ * @param {number} dataVersion
+ * @param {number} version - Current version.
+ * @throws {InternalLoadingError}
+ */
+function throwUnsupportedVersionError(dataVersion, version) {
+    throw new InternalLoadingError(
+        'unsupported configuration version',
+        ERROR_CODES.MIGRATION,
+        {version: dataVersion, currentVersion: version}
+    )
+}
+
+module.exports = {
+    isMigrationOptions,
+    migrateSource,
+    writeBackSource,
+    writeBackSourceAsync
+}
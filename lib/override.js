@@ -0,0 +1,212 @@
+'use strict'
+
+const lodash = require('lodash')
+
+/**
+ * @typedef {object} ResolvedPath
+ * @property {Array<string>} names - Attribute names in configuration.
+ * @property {object | undefined} schema - Schema of the attribute, it is
+ * undefined if the schema does not specify the attribute.
+ */
+
+/**
+ * Find attribute names and schema of an attribute in configuration.
+ *
+ * @param {object} schema - JSON schema that specifies configuration.
+ * @param {Array<string>} names - Attribute names from the root.
+ * @param {boolean} ignoreCase - Match attribute names in the schema without
+ * case sensitive.
+ * @return {ResolvedPath}
+ */
+function resolvePath(schema, names, ignoreCase = false) {
+    let result = {
+        names: [],
+        schema: schema
+    }
+    for (let name of names) {
+        let [realName, childSchema] = findChildSchema(
+            result.schema,
+            name,
+            ignoreCase
+        )
+        result.names.push(realName)
+        result.schema = childSchema
+    }
+    return result
+}
+
+/**
+ *
+ * @param {object | undefined} schema
+ * @param {string} name
+ * @param {boolean} ignoreCase
+ * @return {Array<any>} - Pair of attribute name and it's schema.
+ */
+function findChildSchema(schema, name, ignoreCase) {
+    let defaultName = ignoreCase ? name.toLowerCase() : name
+    if (!lodash.isPlainObject(schema)) {
+        return [defaultName, undefined]
+    }
+    let properties = lodash.isPlainObject(schema.properties)
+        ? schema.properties
+        : {}
+    let realName = Object.keys(properties).find(key => {
+        return ignoreCase
+            ? key.toLowerCase() === name.toLowerCase()
+            : key === name
+    })
+    if (realName !== undefined) {
+        return [realName, properties[realName]]
+    }
+    let additionalSchema = lodash.isPlainObject(schema.additionalProperties)
+        ? schema.additionalProperties
+        : undefined
+    return [defaultName, additionalSchema]
+}
+
+/**
+ * Convert a string to type which is specified by schema. If it is not
+ * possible then the string is returned as it is, so validation reports it.
+ *
+ * @param {string} value
+ * @param {object | undefined} schema
+ * @return {any}
+ */
+function coerceValue(value, schema) {
+    let types = getSchemaTypes(schema)
+    if (types.includes('string')) {
+        return value
+    }
+    for (let type of types) {
+        let result = coerceValueToType(value, type, schema)
+        if (result !== undefined) {
+            return result
+        }
+    }
+    return value
+}
+
+/**
+ *
+ * @param {object | undefined} schema
+ * @return {Array<string>}
+ */
+function getSchemaTypes(schema) {
+    if (!lodash.isPlainObject(schema) || schema.type === undefined) {
+        return []
+    }
+    return Array.isArray(schema.type) ? schema.type : [schema.type]
+}
+
+/**
+ *
+ * @param {string} value
+ * @param {string} type - JSON schema type.
+ * @param {object} schema
+ * @return {any} - Undefined means it is not possible to convert.
+ */
+function coerceValueToType(value, type, schema) {
+    switch (type) {
+        case 'integer':
+            return /^[-+]?\d+$/.test(value) ? Number(value) : undefined
+        case 'number':
+            return toNumber(value)
+        case 'boolean':
+            return toBoolean(value)
+        case 'null':
+            return value === 'null' ? null : undefined
+        case 'array':
+            return toArray(value, schema.items)
+        case 'object':
+            return parseJson(value, lodash.isPlainObject)
+        default:
+            return undefined
+    }
+}
+
+/**
+ *
+ * @param {string} value
+ * @return {number | undefined}
+ */
+function toNumber(value) {
+    if (value.trim() === '') {
+        return undefined
+    }
+    let result = Number(value)
+    return Number.isFinite(result) ? result : undefined
+}
+
+/**
+ *
+ * @param {string} value
+ * @return {boolean | undefined}
+ */
+function toBoolean(value) {
+    let normalized = value.toLowerCase()
+    if (normalized === 'true') {
+        return true
+    }
+    if (normalized === 'false') {
+        return false
+    }
+    return undefined
+}
+
+/**
+ * Array is a JSON array or comma separated values.
+ *
+ * @param {string} value
+ * @param {object | undefined} itemSchema
+ * @return {Array<any>}
+ */
+function toArray(value, itemSchema) {
+    if (value.trim().startsWith('[')) {
+        return parseJson(value, Array.isArray)
+    }
+    if (value === '') {
+        return []
+    }
+    return value.split(',').map(item => coerceValue(item.trim(), itemSchema))
+}
+
+/**
+ *
+ * @param {string} value
+ * @param {Function} isExpectedType
+ * @return {any} - Undefined means it is not a JSON of expected type.
+ */
+function parseJson(value, isExpectedType) {
+    try {
+        let result = JSON.parse(value)
+        return isExpectedType(result) ? result : undefined
+    }
+    catch {
+        return undefined
+    }
+}
+
+/**
+ * Set value for an attribute in configuration.
+ *
+ * @param {any} config - It is modified.
+ * @param {object} schema - JSON schema that specifies configuration.
+ * @param {Array<string>} names - Attribute names from the root.
+ * @param {string} value
+ * @param {boolean} ignoreCase - Match attribute names in the schema without
+ * case sensitive.
+ * @return {Array<string>} - Attribute names which are set, they are names
+ * from the schema if it specifies the attribute.
+ */
+function setOverride(config, schema, names, value, ignoreCase = false) {
+    let resolvedPath = resolvePath(schema, names, ignoreCase)
+    let coercedValue = coerceValue(value, resolvedPath.schema)
+    lodash.set(config, resolvedPath.names, coercedValue)
+    return resolvedPath.names
+}
+
+module.exports = {
+    resolvePath,
+    coerceValue,
+    setOverride
+}
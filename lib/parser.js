@@ -0,0 +1,251 @@
+'use strict'
+
+const path = require('path')
+const lodash = require('lodash')
+const commentJson = require('comment-json')
+const yaml = require('js-yaml')
+const toml = require('@iarna/toml')
+const ini = require('ini')
+const {InternalLoadingError, ERROR_CODES} = require('./error')
+const {getPlainFilePath} = require('./encryption')
+
+/**
+ * Parsers by file extension.
+ */
+const BUILT_IN_PARSERS = {
+    '.json': parseJson,
+    '.yaml': parseYaml,
+    '.yml': parseYaml,
+    '.toml': parseToml,
+    '.ini': parseIni
+}
+/**
+ * Standard configuration files are found by these extensions.
+ */
+const STANDARD_EXTENSIONS = ['.json', '.yaml', '.yml', '.toml']
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isParsers(value) {
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    return Object.entries(value).every(([extension, parser]) => {
+        return /^\.[a-zA-Z0-9.]+$/.test(extension) &&
+            (typeof parser === 'function')
+    })
+}
+
+/**
+ * @param {string} filePath - Path to configuration file.
+ * @param {object} [parsers={}] - Parsers by file extension.
+ * @return {boolean} - True if the file is parsed by built-in JSON parser.
+ */
+function isJsonFile(filePath, parsers = {}) {
+    let extension = getFormatExtension(filePath)
+    if (parsers[extension]) {
+        return false
+    }
+    let parser = BUILT_IN_PARSERS[extension] || parseJson
+    return parser === parseJson
+}
+
+/**
+ * Parse content of configuration file by a parser which is selected by file
+ * extension. Default parser is JSON parser. Extension `.enc` of encrypted
+ * files is skipped, for example `config.yaml.enc` is parsed as YAML.
+ *
+ * @param {string} data - Content of configuration file.
+ * @param {string} filePath - Path to configuration file.
+ * @param {object} [parsers={}] - Parsers by file extension, they override
+ * built-in parsers.
+ * @return {any}
+ * @throws {InternalLoadingError}
+ */
+function parseFileData(data, filePath, parsers = {}) {
+    let extension = getFormatExtension(filePath)
+    let customParser = parsers[extension]
+    if (customParser) {
+        return parseByCustomParser(customParser, data)
+    }
+    let parser = BUILT_IN_PARSERS[extension] || parseJson
+    return parser(data)
+}
+
+/**
+ *
+ * @param {string} filePath - Path to configuration file.
+ * @return {string} - Lower case extension which specifies format of the
+ * file.
+ */
+function getFormatExtension(filePath) {
+    return path.extname(getPlainFilePath(filePath)).toLowerCase()
+}
+
+/**
+ *
+ * @param {Function} parser - Custom `Parser`.
+ * @param {string} data
+ * @return {any}
+ * @throws {InternalLoadingError}
+ */
+function parseByCustomParser(parser, data) {
+    try {
+        return parser(data)
+    }
+    catch (error) {
+        let labels = lodash.pickBy(
+            {
+                line: error && error.line,
+                column: error && error.column
+            },
+            isUint
+        )
+        throw new InternalLoadingError(
+            'invalid format',
+            ERROR_CODES.PARSE,
+            labels,
+            {cause: error}
+        )
+    }
+}
+
+/**
+ * Convert CommentArray from `commentJson.parse()` to built-in `Array`.
+ *
+ * @param {any} _key
+ * @param {any} value
+ * @return {any}
+ */
+function normalizeCommentArray(_key, value) {
+    if (value instanceof commentJson.CommentArray) {
+        return Array.from(value)
+    }
+    else {
+        return value
+    }
+}
+
+/**
+ *
+ * @param {string} data
+ * @return {any}
+ * @throws {InternalLoadingError}
+ */
+function parseJson(data) {
+    try {
+        return commentJson.parse(data, normalizeCommentArray, true)
+    }
+    catch (error) {
+        throwJsonParsingError(error)
+    }
+}
+
+/**
+ *
+ * @param {Error} error - Throw by `parse()` from `comment-json`.
+ * Unfortunately, hanlding is complex because of the function throws errors
+ * inconsistency.
+ * @throws {InternalLoadingError}
+ */
+function throwJsonParsingError(error) {
+    if ((error instanceof Error) === false) {
+        throw new InternalLoadingError(
+            'comment-json throws bad object',
+            ERROR_CODES.PARSE,
+            {},
+            {cause: error}
+        )
+    }
+    let line = error.line || error.lineNumber
+    let {column} = error
+    if (!isUint(line) || !isUint(column)) {
+        throw new InternalLoadingError(
+            'comment-josn throws bad error',
+            ERROR_CODES.PARSE,
+            {},
+            {cause: error}
+        )
+    }
+    throw new InternalLoadingError(
+        'invalid JSON format',
+        ERROR_CODES.PARSE,
+        {line, column},
+        {cause: error}
+    )
+}
+
+/**
+ *
+ * @param {string} data
+ * @return {any}
+ * @throws {InternalLoadingError}
+ */
+function parseYaml(data) {
+    try {
+        return yaml.load(data)
+    }
+    catch (error) {
+        if (!(error instanceof yaml.YAMLException) || !error.mark) {
+            throw error
+        }
+        throw new InternalLoadingError(
+            'invalid YAML format',
+            ERROR_CODES.PARSE,
+            {line: error.mark.line + 1, column: error.mark.column},
+            {cause: error}
+        )
+    }
+}
+
+/**
+ *
+ * @param {string} data
+ * @return {any}
+ * @throws {InternalLoadingError}
+ */
+function parseToml(data) {
+    try {
+        return toml.parse(data)
+    }
+    catch (error) {
+        if (!isUint(error.line) || !isUint(error.col)) {
+            throw error
+        }
+        throw new InternalLoadingError(
+            'invalid TOML format',
+            ERROR_CODES.PARSE,
+            {line: error.line + 1, column: error.col},
+            {cause: error}
+        )
+    }
+}
+
+/**
+ * INI format has no syntax errors, values are strings.
+ *
+ * @param {string} data
+ * @return {object}
+ */
+function parseIni(data) {
+    return JSON.parse(JSON.stringify(ini.parse(data)))
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isUint(value) {
+    return Number.isInteger(value) && value >= 0
+}
+
+module.exports = {
+    STANDARD_EXTENSIONS,
+    isParsers,
+    isJsonFile,
+    parseFileData
+}
@@ -0,0 +1,119 @@
+'use strict'
+
+const lodash = require('lodash')
+const {InternalLoadingError, ERROR_CODES} = require('./error')
+
+/**
+ * Bit offsets of permission classes in file mode.
+ */
+const PERMISSION_CLASSES = {
+    user: 6,
+    group: 3,
+    other: 0
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isFilePermission(value) {
+    if (typeof value === 'number') {
+        return isUint(value) && (value <= 0o7777)
+    }
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    let {forbidden = 0, ...limits} = value
+    if (!isUint(forbidden) || (forbidden > 0o777)) {
+        return false
+    }
+    return Object.entries(limits).every(([name, limit]) => {
+        return Object.prototype.hasOwnProperty.call(PERMISSION_CLASSES, name) &&
+            isUint(limit) &&
+            (limit <= 0o7)
+    })
+}
+
+/**
+ * @param {number} mode - File mode.
+ * @param {number | object} filePermission - Valid `FilePermission` or
+ * `PermissionPolicy`.
+ * @param {boolean} fixPermission - Return a fix instead of throwing error.
+ * @return {object | undefined} - Has attributes `from` and `to`, they are
+ * permissions before and after fixing. It is undefined if the permission is
+ * allowed.
+ * @throws {InternalLoadingError}
+ */
+function checkFileMode(mode, filePermission, fixPermission) {
+    let actual = mode & 0o777
+    let allowed = getAllowedMode(filePermission)
+    if ((actual & ~allowed) === 0) {
+        return undefined
+    }
+    if (fixPermission) {
+        return {from: actual, to: actual & allowed}
+    }
+    let labels = (typeof filePermission === 'number')
+        ? {upperBoundary: toOctal(filePermission), actual: toOctal(actual)}
+        : {allowed: toOctal(allowed), actual: toOctal(actual)}
+    throw new InternalLoadingError(
+        'file permission is too open',
+        ERROR_CODES.PERMISSION,
+        labels
+    )
+}
+
+/**
+ *
+ * @param {number | object} filePermission - Valid `FilePermission` or
+ * `PermissionPolicy`.
+ * @return {number} - Permission bits which files could have.
+ */
+function getAllowedMode(filePermission) {
+    if (typeof filePermission === 'number') {
+        return filePermission & 0o777
+    }
+    let allowed = 0
+    for (let [name, offset] of Object.entries(PERMISSION_CLASSES)) {
+        let limit = lodash.get(filePermission, name, 0o7)
+        allowed |= limit << offset
+    }
+    return allowed & ~lodash.get(filePermission, 'forbidden', 0)
+}
+
+/**
+ *
+ * @param {number | object} filePermission - Valid `FilePermission` or
+ * `PermissionPolicy`.
+ * @return {number} - Permission of new files, it is allowed permission
+ * without execute bits.
+ */
+function getCreationMode(filePermission) {
+    return getAllowedMode(filePermission) & 0o666
+}
+
+/**
+ *
+ * @param {number} value
+ * @return {string} - Octal string with prefix `0o`.
+ */
+function toOctal(value) {
+    return '0o' + value.toString(8)
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isUint(value) {
+    return Number.isInteger(value) && value >= 0
+}
+
+module.exports = {
+    isFilePermission,
+    checkFileMode,
+    getCreationMode,
+    toOctal
+}
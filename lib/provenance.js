@@ -0,0 +1,106 @@
+'use strict'
+
+const lodash = require('lodash')
+const {isJsonFile} = require('./parser')
+const {findJsonLocations, toJsonPointer} = require('./location')
+
+/**
+ * Records are sources of values while building configuration, key is JSON
+ * pointer to a value, for example `/db/port`. Records of values which are
+ * replaced by higher priority sources are removed by `completeProvenance()`.
+ *
+ * @param {Array<object>} sources - Loaded configuration files, ordered by
+ * priority, the last one is highest.
+ * @param {object} parsers - Parsers by file extension.
+ * @return {Map<string, object>} - Records of values from configuration
+ * files.
+ */
+function collectFileProvenance(sources, parsers) {
+    let records = new Map()
+    for (let {filePath, data, content} of sources) {
+        let locations = isJsonFile(filePath, parsers)
+            ? findJsonLocations(content)
+            : new Map()
+        for (let names of findLeafPaths(data)) {
+            let pointer = toJsonPointer(names)
+            let location = locations.get(pointer)
+            records.set(pointer, {source: 'file', filePath, ...location})
+        }
+    }
+    return records
+}
+
+/**
+ * Record the same source for all of leaves of a value.
+ *
+ * @param {Map<string, object> | undefined} records - It is modified. Nothing
+ * is recorded if it is undefined.
+ * @param {any} config
+ * @param {Array<string>} names - Attribute names of the value from the
+ * root.
+ * @param {object} provenance
+ */
+function recordProvenance(records, config, names, provenance) {
+    if (!records) {
+        return
+    }
+    let value = lodash.get(config, names)
+    for (let leafNames of findLeafPaths(value, names)) {
+        records.set(toJsonPointer(leafNames), provenance)
+    }
+}
+
+/**
+ * Values which are not recorded are filled by keyword `default` of schema.
+ *
+ * @param {Map<string, object>} records
+ * @param {any} config - Valid configuration.
+ * @return {object} - Provenance by JSON pointer to each leaf of
+ * configuration.
+ */
+function completeProvenance(records, config) {
+    let result = {}
+    for (let names of findLeafPaths(config)) {
+        let pointer = toJsonPointer(names)
+        result[pointer] = records.get(pointer) || {source: 'schema'}
+    }
+    return result
+}
+
+/**
+ * @param {object} provenance - Provenance by JSON pointer.
+ * @param {string | Array<string>} path - Attribute path, follows `get()`
+ * from `lodash`, for example `db.port`.
+ * @return {object | undefined} - Provenance, it is undefined if the path is
+ * not a leaf of configuration.
+ */
+function explainProvenance(provenance, path) {
+    let pointer = toJsonPointer(lodash.toPath(path))
+    return Object.prototype.hasOwnProperty.call(provenance, pointer)
+        ? provenance[pointer]
+        : undefined
+}
+
+/**
+ * Leaves are values which are not non-empty plain objects, so an array is a
+ * leaf.
+ *
+ * @param {any} value
+ * @param {Array<string>} [names=[]] - Attribute names of the value.
+ * @return {Array<Array<string>>} - Attribute names of leaves from the root.
+ */
+function findLeafPaths(value, names = []) {
+    if (!lodash.isPlainObject(value) || lodash.isEmpty(value)) {
+        return value === undefined ? [] : [names]
+    }
+    return Object.keys(value).flatMap(name => {
+        return findLeafPaths(value[name], [...names, name])
+    })
+}
+
+module.exports = {
+    collectFileProvenance,
+    recordProvenance,
+    completeProvenance,
+    explainProvenance
+}
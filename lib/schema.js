@@ -0,0 +1,94 @@
+'use strict'
+
+const lodash = require('lodash')
+
+/**
+ * Keywords which have subschemas those apply to the same value.
+ */
+const COMBINATION_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'then', 'else']
+
+/**
+ * Schemas which use `$ref` are not resolved, all of their attributes are
+ * declared.
+ *
+ * @param {any} schema - JSON schema, it could be a boolean.
+ * @param {string} name - Attribute name or array index.
+ * @return {Array<any>} - Schemas of the attribute.
+ */
+function getChildSchemas(schema, name) {
+    if (schema === true || lodash.has(schema, '$ref')) {
+        return [true]
+    }
+    if (!lodash.isPlainObject(schema)) {
+        return []
+    }
+    let result = [
+        ...getPropertySchemas(schema, name),
+        ...getItemSchemas(schema, name)
+    ]
+    for (let keyword of COMBINATION_KEYWORDS) {
+        for (let subschema of lodash.castArray(schema[keyword] || [])) {
+            result.push(...getChildSchemas(subschema, name))
+        }
+    }
+    return result
+}
+
+/**
+ *
+ * @param {object} schema
+ * @param {string} name - Attribute name.
+ * @return {Array<any>} - Schemas from keywords `properties`,
+ * `patternProperties` and `additionalProperties`.
+ */
+function getPropertySchemas(schema, name) {
+    let {properties = {}, patternProperties = {}} = schema
+    let result = Object.entries(patternProperties)
+        .filter(([pattern]) => new RegExp(pattern, 'u').test(name))
+        .map(([, subschema]) => subschema)
+    if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        result.push(properties[name])
+    }
+    let {additionalProperties} = schema
+    if (result.length === 0 && isSchema(additionalProperties)) {
+        result.push(additionalProperties)
+    }
+    return result
+}
+
+/**
+ *
+ * @param {object} schema
+ * @param {string} name - Array index.
+ * @return {Array<any>} - Schemas from keywords `items` and
+ * `additionalItems`.
+ */
+function getItemSchemas(schema, name) {
+    if (!/^(0|[1-9][0-9]*)$/.test(name)) {
+        return []
+    }
+    let {items, additionalItems} = schema
+    if (!Array.isArray(items)) {
+        return isSchema(items) ? [items] : []
+    }
+    let index = Number(name)
+    if (index < items.length) {
+        return [items[index]]
+    }
+    return isSchema(additionalItems) ? [additionalItems] : []
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean} - True if the value is a schema which accepts some
+ * values.
+ */
+function isSchema(value) {
+    return (value === true) || lodash.isPlainObject(value)
+}
+
+module.exports = {
+    COMBINATION_KEYWORDS,
+    getChildSchemas
+}
@@ -0,0 +1,186 @@
+'use strict'
+
+const os = require('os')
+const path = require('path')
+const untildify = require('untildify')
+const {STANDARD_EXTENSIONS} = require('./parser')
+const {ENCRYPTED_EXTENSION, isEncryptedFile} = require('./encryption')
+
+/**
+ * Search paths by priority, the first one is highest. They follow XDG Base
+ * Directory Specification, then `/etc` for compatibility.
+ */
+const DEFAULT_SEARCH_PATHS = [
+    './{fileName}',
+    '{xdgConfigHome}/{identity}/{fileName}',
+    '{xdgConfigDirs}/{identity}/{fileName}',
+    '/etc/{identity}/{fileName}'
+]
+const DEFAULT_FILE_NAME = 'config'
+const PLACEHOLDERS = ['identity', 'fileName', 'xdgConfigHome', 'xdgConfigDirs']
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isSearchPaths(value) {
+    if (value === undefined) {
+        return true
+    }
+    return Array.isArray(value) &&
+        (value.length > 0) &&
+        value.every(isSearchPath)
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isSearchPath(value) {
+    if ((typeof value !== 'string') || (value.length === 0)) {
+        return false
+    }
+    let names = Array.from(value.matchAll(/\{([^}]*)\}/g), match => match[1])
+    let xdgConfigDirsCount = names
+        .filter(name => name === 'xdgConfigDirs')
+        .length
+    return names.every(name => PLACEHOLDERS.includes(name)) &&
+        (xdgConfigDirsCount <= 1)
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isFileName(value) {
+    return (value === undefined) || (
+        (typeof value === 'string') &&
+        /^[a-zA-Z0-9_-][a-zA-Z0-9._-]*$/.test(value)
+    )
+}
+
+/**
+ * @param {object} options - Has attribute `identity`, optional attributes
+ * `searchPaths`, `fileName` and `encryption`.
+ * @param {object} [environment=process.env] - Environment variables.
+ * @return {Array<Array<string>>} - Paths to configuration files in each
+ * location, ordered by priority, the first one is highest.
+ */
+function getSearchLocations(options, environment = process.env) {
+    let {
+        identity,
+        searchPaths = DEFAULT_SEARCH_PATHS,
+        fileName = DEFAULT_FILE_NAME,
+        encryption
+    } = options
+    let values = {
+        identity,
+        xdgConfigHome: getXdgConfigHome(environment)
+    }
+    let xdgConfigDirs = getXdgConfigDirs(environment)
+    let fileNames = getFileNames(fileName, Boolean(encryption))
+    return searchPaths
+        .flatMap(v => expandTemplate(v, 'xdgConfigDirs', xdgConfigDirs))
+        .map(template => fillTemplates(template, values))
+        .map(template => expandTemplate(template, 'fileName', fileNames))
+        .map(filePaths => filePaths.map(filePath => untildify(filePath)))
+}
+
+/**
+ *
+ * @param {string} fileName - Value of option `fileName`.
+ * @param {boolean} encrypted - Try encrypted files before plain files.
+ * @return {Array<string>} - Names of configuration files in a location,
+ * ordered by priority.
+ */
+function getFileNames(fileName, encrypted) {
+    if (isEncryptedFile(fileName)) {
+        return [fileName]
+    }
+    let fileNames = path.extname(fileName)
+        ? [fileName]
+        : STANDARD_EXTENSIONS.map(extension => fileName + extension)
+    if (!encrypted) {
+        return fileNames
+    }
+    return [
+        ...fileNames.map(name => name + ENCRYPTED_EXTENSION),
+        ...fileNames
+    ]
+}
+
+/**
+ *
+ * @param {string} template
+ * @param {string} name - Placeholder name.
+ * @param {Array<string>} values
+ * @return {Array<string>} - One result per value if the template has the
+ * placeholder, otherwise only the template.
+ */
+function expandTemplate(template, name, values) {
+    if (!template.includes(`{${name}}`)) {
+        return [template]
+    }
+    return values.map(value => fillTemplate(template, name, value))
+}
+
+/**
+ *
+ * @param {string} template
+ * @param {object} values - Values by placeholder names.
+ * @return {string}
+ */
+function fillTemplates(template, values) {
+    let result = template
+    for (let [name, value] of Object.entries(values)) {
+        result = fillTemplate(result, name, value)
+    }
+    return result
+}
+
+/**
+ *
+ * @param {string} template
+ * @param {string} name - Placeholder name.
+ * @param {string} value
+ * @return {string}
+ */
+function fillTemplate(template, name, value) {
+    return template.split(`{${name}}`).join(value)
+}
+
+/**
+ *
+ * @param {object} environment - Environment variables.
+ * @return {string} - `XDG_CONFIG_HOME` if it is an absolute path, otherwise
+ * `~/.config`.
+ */
+function getXdgConfigHome(environment) {
+    let value = environment.XDG_CONFIG_HOME
+    return (value && path.isAbsolute(value))
+        ? value
+        : path.join(os.homedir(), '.config')
+}
+
+/**
+ *
+ * @param {object} environment - Environment variables.
+ * @return {Array<string>} - Absolute paths from `XDG_CONFIG_DIRS`, default
+ * is `/etc/xdg`.
+ */
+function getXdgConfigDirs(environment) {
+    let directories = (environment.XDG_CONFIG_DIRS || '')
+        .split(':')
+        .filter(directory => path.isAbsolute(directory))
+    return directories.length > 0 ? directories : ['/etc/xdg']
+}
+
+module.exports = {
+    DEFAULT_SEARCH_PATHS,
+    isSearchPaths,
+    isFileName,
+    getSearchLocations
+}
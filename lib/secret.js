@@ -0,0 +1,166 @@
+'use strict'
+
+const lodash = require('lodash')
+const {COMBINATION_KEYWORDS, getChildSchemas} = require('./schema')
+
+/**
+ * Replacement of secret values.
+ */
+const REDACTED_VALUE = '[REDACTED]'
+/**
+ * Parameters of violations from `ajv` which contain values.
+ */
+const VALUE_PARAMS = ['allowedValue', 'allowedValues']
+/**
+ * Attributes of violations from `ajv` with option `verbose`.
+ */
+const VERBOSE_ATTRIBUTES = ['data', 'schema', 'parentSchema']
+/**
+ * Keyword `secret` for `ajv`, it is an annotation like `writeOnly`.
+ */
+const SECRET_KEYWORD = {
+    keyword: 'secret',
+    schemaType: 'boolean'
+}
+
+/**
+ * A value is secret if its schema, or schema of an attribute which contains
+ * it, has keyword `writeOnly` or `secret` is true. Schemas which are
+ * referenced by `$ref` are not resolved.
+ *
+ * @param {any} config
+ * @param {object} [schema={}] - JSON schema of configuration.
+ * @return {any} - Copy of configuration, secret values are replaced by
+ * `[REDACTED]`.
+ */
+function redact(config, schema = {}) {
+    return redactValue(config, [schema])
+}
+
+/**
+ *
+ * @param {any} value
+ * @param {Array<any>} schemas - Schemas of the value.
+ * @return {any}
+ */
+function redactValue(value, schemas) {
+    if (schemas.some(isSecretSchema)) {
+        return REDACTED_VALUE
+    }
+    if (lodash.isPlainObject(value)) {
+        return lodash.mapValues(value, (child, name) => {
+            return redactValue(child, getChildrenSchemas(schemas, name))
+        })
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => {
+            return redactValue(item, getChildrenSchemas(schemas, `${index}`))
+        })
+    }
+    return value
+}
+
+/**
+ * Violations of secret values do not contain allowed values from schema,
+ * they could be the secret values. Attributes `data`, `schema` and
+ * `parentSchema` are added by option `verbose` of `ajv`, secret values in
+ * them are redacted too.
+ *
+ * @param {object} violation - Validation error from `ajv`.
+ * @param {object} schema - JSON schema of configuration.
+ * @return {object} - Copy of the violation.
+ */
+function redactViolation(violation, schema) {
+    let names = violation.instancePath
+        .split('/')
+        .slice(1)
+        .map(name => name.replace(/~1/g, '/').replace(/~0/g, '~'))
+    if (!isSecretPath(schema, names)) {
+        return redactViolationData(violation, getPathSchemas(schema, names))
+    }
+    let result = {...violation}
+    result.params = lodash.mapValues(violation.params, (value, name) => {
+        return VALUE_PARAMS.includes(name) ? REDACTED_VALUE : value
+    })
+    for (let name of VERBOSE_ATTRIBUTES) {
+        if (Object.prototype.hasOwnProperty.call(violation, name)) {
+            result[name] = REDACTED_VALUE
+        }
+    }
+    return result
+}
+
+/**
+ * Data of a violation which is not secret could be an object which contains
+ * secret values, for example keyword `required` of an object.
+ *
+ * @param {object} violation - Validation error from `ajv`.
+ * @param {Array<any>} schemas - Schemas of the violated value.
+ * @return {object} - Copy of the violation.
+ */
+function redactViolationData(violation, schemas) {
+    if (!Object.prototype.hasOwnProperty.call(violation, 'data')) {
+        return {...violation}
+    }
+    return {...violation, data: redactValue(violation.data, schemas)}
+}
+
+/**
+ *
+ * @param {object} schema
+ * @param {Array<string>} names - Attribute names from the root.
+ * @return {Array<any>} - Schemas of the attribute.
+ */
+function getPathSchemas(schema, names) {
+    return names.reduce(getChildrenSchemas, [schema])
+}
+
+/**
+ *
+ * @param {object} schema
+ * @param {Array<string>} names - Attribute names from the root.
+ * @return {boolean}
+ */
+function isSecretPath(schema, names) {
+    let schemas = [schema]
+    for (let name of names) {
+        if (schemas.some(isSecretSchema)) {
+            return true
+        }
+        schemas = getChildrenSchemas(schemas, name)
+    }
+    return schemas.some(isSecretSchema)
+}
+
+/**
+ *
+ * @param {Array<any>} schemas
+ * @param {string} name - Attribute name or array index.
+ * @return {Array<any>} - Schemas of the attribute.
+ */
+function getChildrenSchemas(schemas, name) {
+    return schemas.flatMap(schema => getChildSchemas(schema, name))
+}
+
+/**
+ *
+ * @param {any} schema - JSON schema, it could be a boolean.
+ * @return {boolean}
+ */
+function isSecretSchema(schema) {
+    if (!lodash.isPlainObject(schema)) {
+        return false
+    }
+    if (schema.writeOnly === true || schema.secret === true) {
+        return true
+    }
+    return COMBINATION_KEYWORDS.some(keyword => {
+        return lodash.castArray(schema[keyword] || []).some(isSecretSchema)
+    })
+}
+
+module.exports = {
+    SECRET_KEYWORD,
+    redact,
+    redactViolation
+}
@@ -0,0 +1,205 @@
+'use strict'
+
+const lodash = require('lodash')
+const commentJson = require('comment-json')
+const {OptionError} = require('./error')
+const {isUnit} = require('./unit')
+
+/**
+ * Keywords which are described in comments, in this order.
+ */
+const CONSTRAINT_KEYWORDS = [
+    'enum',
+    'const',
+    'format',
+    'unit',
+    'pattern',
+    'minimum',
+    'exclusiveMinimum',
+    'maximum',
+    'exclusiveMaximum',
+    'multipleOf',
+    'minLength',
+    'maxLength',
+    'minItems',
+    'maxItems',
+    'uniqueItems'
+]
+/**
+ * Values of attributes which have no default value, by type.
+ */
+const PLACEHOLDERS = {
+    string: '',
+    number: 0,
+    integer: 0,
+    boolean: false,
+    array: [],
+    object: {},
+    null: null
+}
+/**
+ * Values of attributes which have keyword `unit` and no default value, by
+ * unit.
+ */
+const UNIT_PLACEHOLDERS = {
+    duration: '0s',
+    bytes: '0B'
+}
+
+/**
+ * Generate content of a configuration file from a schema. Description, type,
+ * constraints and default value of each attribute are written as comments.
+ *
+ * @param {object} [schema={}] - JSON schema.
+ * @param {object} [defaultValues={}] - Key-value pairs for default values,
+ * key follows `set()` from `lodash`. They have higher priority than keyword
+ * `default` from the schema.
+ * @return {string} - JSON with comments.
+ * @throws {OptionError}
+ */
+function generateTemplate(schema = {}, defaultValues = {}) {
+    if (!lodash.isPlainObject(schema)) {
+        throw new OptionError('invalid option: schema')
+    }
+    if (!lodash.isPlainObject(defaultValues)) {
+        throw new OptionError('invalid option: defaultValues')
+    }
+    let defaults = {}
+    for (let [key, value] of Object.entries(defaultValues)) {
+        lodash.set(defaults, key, value)
+    }
+    let template = buildValue(schema, defaults)
+    if (schema.description && lodash.isPlainObject(template)) {
+        template[Symbol.for('before-all')] = toComments(
+            schema.description.split('\n')
+        )
+    }
+    return `${commentJson.stringify(template, null, 4)}\n`
+}
+
+/**
+ *
+ * @param {object} schema - Schema of the value.
+ * @param {any} defaultValue - Value from option `defaultValues`.
+ * @return {any} - Value with comments for attributes.
+ */
+function buildValue(schema, defaultValue) {
+    if (lodash.isPlainObject(schema.properties)) {
+        return buildObject(schema, defaultValue)
+    }
+    if (defaultValue !== undefined) {
+        return lodash.cloneDeep(defaultValue)
+    }
+    if (schema.default !== undefined) {
+        return lodash.cloneDeep(schema.default)
+    }
+    return getPlaceholder(schema)
+}
+
+/**
+ *
+ * @param {object} schema - Schema of an object which has keyword
+ * `properties`.
+ * @param {any} defaultValue - Value from option `defaultValues`.
+ * @return {object}
+ */
+function buildObject(schema, defaultValue) {
+    let defaults = lodash.isPlainObject(defaultValue) ? defaultValue : {}
+    let required = Array.isArray(schema.required) ? schema.required : []
+    let result = {}
+    for (let [name, propertySchema] of Object.entries(schema.properties)) {
+        result[name] = buildValue(propertySchema, defaults[name])
+        result[Symbol.for(`before:${name}`)] = toComments(describeSchema(
+            propertySchema,
+            required.includes(name),
+            getDescribedDefault(propertySchema, defaults[name])
+        ))
+    }
+    return lodash.defaults(result, lodash.cloneDeep(defaults))
+}
+
+/**
+ *
+ * @param {object} schema - Schema of an attribute.
+ * @param {any} defaultValue - Value from option `defaultValues`.
+ * @return {any} - Default value is written in comments. It is undefined for
+ * objects which have keyword `properties` because their attributes are
+ * described instead.
+ */
+function getDescribedDefault(schema, defaultValue) {
+    if (lodash.isPlainObject(schema.properties)) {
+        return undefined
+    }
+    return defaultValue !== undefined ? defaultValue : schema.default
+}
+
+/**
+ *
+ * @param {object} schema
+ * @return {any} - The first value from keywords `const`, `enum`,
+ * `examples`, or a value which matches keyword `unit` or `type`.
+ */
+function getPlaceholder(schema) {
+    if (schema.const !== undefined) {
+        return lodash.cloneDeep(schema.const)
+    }
+    for (let keyword of ['enum', 'examples']) {
+        if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+            return lodash.cloneDeep(schema[keyword][0])
+        }
+    }
+    if (isUnit(schema.unit)) {
+        return UNIT_PLACEHOLDERS[schema.unit]
+    }
+    let [type] = lodash.castArray(schema.type)
+    let placeholder = PLACEHOLDERS[type]
+    return placeholder === undefined ? null : lodash.cloneDeep(placeholder)
+}
+
+/**
+ *
+ * @param {object} schema - Schema of an attribute.
+ * @param {boolean} isRequired
+ * @param {any} defaultValue
+ * @return {Array<string>} - Lines of description.
+ */
+function describeSchema(schema, isRequired, defaultValue) {
+    let lines = schema.description ? schema.description.split('\n') : []
+    let types = lodash.castArray(schema.type || [])
+    if (types.length > 0) {
+        let requiredNote = isRequired ? ', required' : ''
+        lines.push(`type: ${types.join(' | ')}${requiredNote}`)
+    }
+    else if (isRequired) {
+        lines.push('required')
+    }
+    for (let keyword of CONSTRAINT_KEYWORDS) {
+        if (schema[keyword] !== undefined) {
+            lines.push(`${keyword}: ${JSON.stringify(schema[keyword])}`)
+        }
+    }
+    if (defaultValue !== undefined) {
+        lines.push(`default: ${JSON.stringify(defaultValue)}`)
+    }
+    return lines
+}
+
+/**
+ *
+ * @param {Array<string>} lines
+ * @return {Array<object>} - Comment tokens for `stringify()` from
+ * `comment-json`.
+ */
+function toComments(lines) {
+    return lines.map(line => {
+        return {
+            type: 'LineComment',
+            value: ` ${line}`,
+            inline: false
+        }
+    })
+}
+
+module.exports = {
+    generateTemplate
+}
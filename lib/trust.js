@@ -0,0 +1,161 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const lodash = require('lodash')
+const {InternalLoadingError, ERROR_CODES} = require('./error')
+const {toOctal} = require('./permission')
+
+/**
+ * Owner of configuration file is trusted if it is process owner or root.
+ *
+ * @return {Array<number>}
+ */
+function getDefaultOwners() {
+    let owners = [0]
+    if (typeof process.getuid === 'function') {
+        owners.unshift(process.getuid())
+    }
+    return lodash.uniq(owners)
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isTrustOptions(value) {
+    if (value === undefined) {
+        return true
+    }
+    if (!lodash.isPlainObject(value)) {
+        return false
+    }
+    let {owners, ...others} = value
+    let isValidOwners = (owners === undefined) || (
+        Array.isArray(owners) &&
+        (owners.length > 0) &&
+        owners.every(owner => Number.isInteger(owner) && owner >= 0)
+    )
+    return isValidOwners && (Object.keys(others).length === 0)
+}
+
+/**
+ * Throws error if the file could be replaced or modified by untrusted
+ * users.
+ *
+ * @param {string} filePath
+ * @param {fs.Stats} fileStat
+ * @param {object | undefined} options - `TrustOptions`, checks are skipped
+ * if it is undefined.
+ * @throws {InternalLoadingError}
+ */
+function validateTrust(filePath, fileStat, options) {
+    if (!options) {
+        return
+    }
+    validateFileStat(fileStat, options)
+    let directories = getParentDirectories(filePath, fs.realpathSync(filePath))
+    for (let directory of directories) {
+        validateDirectoryStat(directory, fs.statSync(directory))
+    }
+}
+
+/**
+ * The same as `validateTrust()` but uses `fs.promises`.
+ *
+ * @param {string} filePath
+ * @param {fs.Stats} fileStat
+ * @param {object | undefined} options - `TrustOptions`.
+ * @return {Promise<void>}
+ * @throws {InternalLoadingError}
+ */
+async function validateTrustAsync(filePath, fileStat, options) {
+    if (!options) {
+        return
+    }
+    validateFileStat(fileStat, options)
+    let realPath = await fs.promises.realpath(filePath)
+    let directories = getParentDirectories(filePath, realPath)
+    let directoryStats = await Promise.all(directories.map(directory => {
+        return fs.promises.stat(directory)
+    }))
+    directories.forEach((directory, i) => {
+        validateDirectoryStat(directory, directoryStats[i])
+    })
+}
+
+/**
+ *
+ * @param {fs.Stats} fileStat
+ * @param {object} options - `TrustOptions`.
+ * @throws {InternalLoadingError}
+ */
+function validateFileStat(fileStat, options) {
+    let {owners = getDefaultOwners()} = options
+    if (!owners.includes(fileStat.uid)) {
+        throw new InternalLoadingError(
+            'untrusted file owner',
+            ERROR_CODES.PERMISSION,
+            {owner: fileStat.uid, allowedOwners: owners}
+        )
+    }
+    if ((fileStat.mode & 0o022) !== 0) {
+        throw new InternalLoadingError(
+            'file is writable by group or others',
+            ERROR_CODES.PERMISSION,
+            {actual: toOctal(fileStat.mode & 0o777)}
+        )
+    }
+}
+
+/**
+ * Directories which are writable by others but have sticky bit, such as
+ * `/tmp`, are trusted because others can not rename or remove entries which
+ * they do not own.
+ *
+ * @param {string} directory
+ * @param {fs.Stats} directoryStat
+ * @throws {InternalLoadingError}
+ */
+function validateDirectoryStat(directory, directoryStat) {
+    let isWritable = (directoryStat.mode & 0o002) !== 0
+    let isSticky = (directoryStat.mode & 0o1000) !== 0
+    if (isWritable && !isSticky) {
+        throw new InternalLoadingError(
+            'directory is writable by others',
+            ERROR_CODES.PERMISSION,
+            {directory, actual: toOctal(directoryStat.mode & 0o7777)}
+        )
+    }
+}
+
+/**
+ * Both of directories which contain the path and directories which contain
+ * the real path are checked, because a symbolic link could be replaced as
+ * well as the file it points to.
+ *
+ * @param {string} filePath
+ * @param {string} realPath - Result of `fs.realpath()`.
+ * @return {Array<string>} - Absolute paths, from the closest one to root.
+ */
+function getParentDirectories(filePath, realPath) {
+    let directories = []
+    for (let current of [path.resolve(filePath), realPath]) {
+        for (;;) {
+            let parent = path.dirname(current)
+            if (parent === current) {
+                break
+            }
+            directories.push(parent)
+            current = parent
+        }
+    }
+    return lodash.uniq(directories)
+}
+
+module.exports = {
+    isTrustOptions,
+    validateTrust,
+    validateTrustAsync
+}
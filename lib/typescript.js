@@ -0,0 +1,230 @@
+'use strict'
+
+const lodash = require('lodash')
+const {OptionError} = require('./error')
+const {isUnit} = require('./unit')
+
+/**
+ * TypeScript types by JSON schema types.
+ */
+const PRIMITIVE_TYPES = {
+    string: 'string',
+    number: 'number',
+    integer: 'number',
+    boolean: 'boolean',
+    null: 'null'
+}
+const INDENT = '    '
+
+/**
+ * Generate TypeScript declaration of configuration from a schema.
+ * Attributes which are required or have keyword `default` are not optional
+ * because `load()` fills default values.
+ *
+ * @param {object} [schema={}] - JSON schema.
+ * @param {string} [typeName='Configuration'] - Pattern:
+ * `/^[A-Za-z_$][A-Za-z0-9_$]*$/`.
+ * @return {string} - TypeScript source, it exports an interface if the
+ * schema is an object with keyword `properties`, otherwise a type alias.
+ * @throws {OptionError}
+ */
+function generateTypes(schema = {}, typeName = 'Configuration') {
+    if (!lodash.isPlainObject(schema)) {
+        throw new OptionError('invalid option: schema')
+    }
+    if (!isIdentifier(typeName)) {
+        throw new OptionError('invalid option: typeName')
+    }
+    let comment = formatComment(schema.description, '')
+    let declaration = lodash.isPlainObject(schema.properties)
+        ? `export interface ${typeName} ${toType(schema, '')}`
+        : `export type ${typeName} = ${toType(schema, '')}`
+    return `${comment}${declaration}\n`
+}
+
+/**
+ * Values of keyword `unit` are numbers because `load()` converts them.
+ *
+ * @param {any} schema - JSON schema, it could be a boolean.
+ * @param {string} indent - Indentation of the current line.
+ * @return {string} - TypeScript type.
+ */
+function toType(schema, indent) {
+    if (!lodash.isPlainObject(schema)) {
+        return schema === false ? 'never' : 'unknown'
+    }
+    if (schema.const !== undefined) {
+        return JSON.stringify(schema.const)
+    }
+    if (isUnit(schema.unit)) {
+        return 'number'
+    }
+    if (Array.isArray(schema.enum)) {
+        let types = schema.enum.map(value => JSON.stringify(value))
+        return joinTypes(types, ' | ')
+    }
+    for (let [keyword, separator] of [['anyOf', ' | '], ['oneOf', ' | ']]) {
+        if (Array.isArray(schema[keyword])) {
+            let types = schema[keyword].map(item => toType(item, indent))
+            return joinTypes(types, separator)
+        }
+    }
+    if (Array.isArray(schema.allOf)) {
+        let types = schema.allOf.map(item => toType(item, indent))
+        return joinTypes(types, ' & ')
+    }
+    let types = lodash.castArray(schema.type || [])
+        .map(type => toTypeByName(schema, type, indent))
+    return types.length > 0 ? joinTypes(types, ' | ') : 'unknown'
+}
+
+/**
+ *
+ * @param {object} schema
+ * @param {string} type - Value of keyword `type`.
+ * @param {string} indent - Indentation of the current line.
+ * @return {string} - TypeScript type.
+ */
+function toTypeByName(schema, type, indent) {
+    if (type === 'object') {
+        return toObjectType(schema, indent)
+    }
+    if (type === 'array') {
+        return toArrayType(schema, indent)
+    }
+    return PRIMITIVE_TYPES[type] || 'unknown'
+}
+
+/**
+ *
+ * @param {object} schema - Schema of an array.
+ * @param {string} indent - Indentation of the current line.
+ * @return {string} - TypeScript type.
+ */
+function toArrayType(schema, indent) {
+    if (Array.isArray(schema.items)) {
+        let types = schema.items.map(item => toType(item, indent))
+        return `[${types.join(', ')}]`
+    }
+    if (schema.items === undefined) {
+        return 'Array<unknown>'
+    }
+    return `Array<${toType(schema.items, indent)}>`
+}
+
+/**
+ * Attributes which are not declared are allowed only if keyword
+ * `additionalProperties` is specified, so misspelled attributes are caught
+ * by the compiler.
+ *
+ * @param {object} schema - Schema of an object.
+ * @param {string} indent - Indentation of the current line.
+ * @return {string} - TypeScript type.
+ */
+function toObjectType(schema, indent) {
+    let properties = lodash.isPlainObject(schema.properties)
+        ? schema.properties
+        : {}
+    let required = Array.isArray(schema.required) ? schema.required : []
+    let innerIndent = indent + INDENT
+    let members = Object.entries(properties).map(([name, propertySchema]) => {
+        let isRequired = required.includes(name) ||
+            (lodash.get(propertySchema, 'default') !== undefined)
+        let key = isIdentifier(name) ? name : JSON.stringify(name)
+        let type = toType(propertySchema, innerIndent)
+        let comment = formatComment(
+            lodash.get(propertySchema, 'description'),
+            innerIndent
+        )
+        let mark = isRequired ? '' : '?'
+        return `${comment}${innerIndent}${key}${mark}: ${type}`
+    })
+    let additional = getAdditionalPropertiesType(schema, innerIndent)
+    if (additional) {
+        members.push(`${innerIndent}[key: string]: ${additional}`)
+    }
+    if (members.length === 0) {
+        return 'Record<string, never>'
+    }
+    return `{\n${members.join('\n')}\n${indent}}`
+}
+
+/**
+ *
+ * @param {object} schema - Schema of an object.
+ * @param {string} indent - Indentation of the current line.
+ * @return {string | undefined} - TypeScript type of attributes which are not
+ * declared by keyword `properties`.
+ */
+function getAdditionalPropertiesType(schema, indent) {
+    let {properties, additionalProperties} = schema
+    if (additionalProperties === undefined) {
+        return properties === undefined ? 'unknown' : undefined
+    }
+    if (additionalProperties === false) {
+        return undefined
+    }
+    return toType(additionalProperties, indent)
+}
+
+/**
+ *
+ * @param {Array<string>} types
+ * @param {string} separator - ` | ` or ` & `.
+ * @return {string}
+ */
+function joinTypes(types, separator) {
+    if (types.length === 0) {
+        return 'never'
+    }
+    let uniqueTypes = lodash.uniq(types)
+    if (uniqueTypes.length === 1) {
+        return uniqueTypes[0]
+    }
+    return uniqueTypes
+        .map(type => (isCompositeType(type) ? `(${type})` : type))
+        .join(separator)
+}
+
+/**
+ *
+ * @param {string} type - TypeScript type.
+ * @return {boolean} - True if the type must be wrapped by parentheses
+ * before it is combined with other types.
+ */
+function isCompositeType(type) {
+    return !type.startsWith('{') && /[|&]/.test(type)
+}
+
+/**
+ *
+ * @param {any} description - Value of keyword `description`.
+ * @param {string} indent - Indentation of the current line.
+ * @return {string} - Documentation comment, it is empty if there is no
+ * description.
+ */
+function formatComment(description, indent) {
+    if (typeof description !== 'string' || description.length === 0) {
+        return ''
+    }
+    let lines = description.replace(/\*\//g, '* /').split('\n')
+    if (lines.length === 1) {
+        return `${indent}/** ${lines[0]} */\n`
+    }
+    let body = lines.map(line => `${indent} * ${line}`.trimEnd())
+    return `${indent}/**\n${body.join('\n')}\n${indent} */\n`
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isIdentifier(value) {
+    return (typeof value === 'string') &&
+        /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(value)
+}
+
+module.exports = {
+    generateTypes
+}
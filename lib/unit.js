@@ -0,0 +1,442 @@
+'use strict'
+
+const lodash = require('lodash')
+const {COMBINATION_KEYWORDS, getChildSchemas} = require('./schema')
+
+/**
+ * Milliseconds by duration unit.
+ */
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+}
+/**
+ * Bytes by lower case size unit. Decimal units are powers of 1000, binary
+ * units are powers of 1024.
+ */
+const BYTE_UNITS = {
+    'b': 1,
+    'kb': 1000,
+    'mb': 1000 ** 2,
+    'gb': 1000 ** 3,
+    'tb': 1000 ** 4,
+    'pb': 1000 ** 5,
+    'kib': 1024,
+    'mib': 1024 ** 2,
+    'gib': 1024 ** 3,
+    'tib': 1024 ** 4,
+    'pib': 1024 ** 5
+}
+/**
+ * Units of ISO 8601 durations, months and years are not supported because
+ * their lengths vary.
+ */
+const ISO_DURATION_PATTERN = new RegExp(
+    '^P(?!$)(?:(\\d+(?:\\.\\d+)?)W)?(?:(\\d+(?:\\.\\d+)?)D)?' +
+    '(?:T(?=\\d)(?:(\\d+(?:\\.\\d+)?)H)?(?:(\\d+(?:\\.\\d+)?)M)?' +
+    '(?:(\\d+(?:\\.\\d+)?)S)?)?$'
+)
+/**
+ * Parsers by unit, they return undefined for invalid values.
+ */
+const UNIT_PARSERS = {
+    duration: parseDuration,
+    bytes: parseBytes
+}
+/**
+ * Validators of numbers by unit, numbers are values which are converted
+ * already, so `save()` and `validate()` accept results of `load()`.
+ */
+const UNIT_NUMBER_VALIDATORS = {
+    duration: value => Number.isFinite(value) && value >= 0,
+    bytes: value => Number.isSafeInteger(value) && value >= 0
+}
+/**
+ * Values of keyword `type` by unit, one of them is required if keyword
+ * `type` is next to keyword `unit`, so converted values are still valid.
+ */
+const UNIT_NUMBER_TYPES = {
+    duration: ['number'],
+    bytes: ['number', 'integer']
+}
+/**
+ * Keyword `unit` for `ajv`, its value is `duration` or `bytes`. It accepts
+ * strings which could be parsed by `UNIT_PARSERS` and numbers which are
+ * accepted by `UNIT_NUMBER_VALIDATORS`. Strings are converted to numbers by
+ * `convertUnits()` after validation.
+ */
+const UNIT_KEYWORD = {
+    keyword: 'unit',
+    schemaType: 'string',
+    metaSchema: {enum: Object.keys(UNIT_PARSERS)},
+    compile: compileUnit
+}
+
+/**
+ * Compile function of `UNIT_KEYWORD`.
+ *
+ * @param {string} unit - Value of keyword `unit`.
+ * @param {object} parentSchema - Schema which has keyword `unit`.
+ * @param {object} it - Schema context from `ajv`.
+ * @return {Function} - Validate function.
+ * @throws {Error} - Keyword `type` does not accept numbers.
+ */
+function compileUnit(unit, parentSchema, it) {
+    if (!isUnitType(unit, parentSchema.type)) {
+        throw new Error(
+            `keyword "unit" value is invalid at path "${it.errSchemaPath}": ` +
+            `keyword type must accept ${UNIT_NUMBER_TYPES[unit].join(' or ')}`
+        )
+    }
+    let validate = data => {
+        let isValid = isUnitValue(unit, data)
+        validate.errors = isValid
+            ? null
+            : [{keyword: 'unit', message: `must be ${unit}`, params: {unit}}]
+        return isValid
+    }
+    return validate
+}
+
+/**
+ *
+ * @param {string} unit
+ * @param {any} type - Value of keyword `type` next to keyword `unit`.
+ * @return {boolean}
+ */
+function isUnitType(unit, type) {
+    if (type === undefined) {
+        return true
+    }
+    let types = lodash.castArray(type)
+    return UNIT_NUMBER_TYPES[unit].some(item => types.includes(item))
+}
+
+/**
+ *
+ * @param {string} unit
+ * @param {any} data
+ * @return {boolean}
+ */
+function isUnitValue(unit, data) {
+    return (typeof data === 'string')
+        ? UNIT_PARSERS[unit](data) !== undefined
+        : UNIT_NUMBER_VALIDATORS[unit](data)
+}
+
+/**
+ * A duration is a sequence of numbers with units `ms`, `s`, `m`, `h`, `d`
+ * and `w`, for example `1h30m`, or an ISO 8601 duration without years and
+ * months, for example `PT1H30M`.
+ *
+ * @param {string} value
+ * @return {number | undefined} - Milliseconds.
+ */
+function parseDuration(value) {
+    if (value.startsWith('P')) {
+        return parseIsoDuration(value)
+    }
+    if (!/^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+$/.test(value)) {
+        return undefined
+    }
+    let result = 0
+    for (let [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)([a-z]+)/g)) {
+        result += Number(amount) * DURATION_UNITS[unit]
+    }
+    return result
+}
+
+/**
+ *
+ * @param {string} value - ISO 8601 duration.
+ * @return {number | undefined} - Milliseconds.
+ */
+function parseIsoDuration(value) {
+    let match = ISO_DURATION_PATTERN.exec(value)
+    if (!match) {
+        return undefined
+    }
+    let units = ['w', 'd', 'h', 'm', 's']
+    return units.reduce((result, unit, i) => {
+        let amount = match[i + 1]
+        return amount ? result + Number(amount) * DURATION_UNITS[unit] : result
+    }, 0)
+}
+
+/**
+ * A size is a number with an optional unit, units are case insensitive,
+ * for example `512MB` or `1.5GiB`. Result must be an integer.
+ *
+ * @param {string} value
+ * @return {number | undefined} - Bytes.
+ */
+function parseBytes(value) {
+    let match = /^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/.exec(value)
+    if (!match) {
+        return undefined
+    }
+    let [, amount, unit] = match
+    let multiplier = BYTE_UNITS[unit.toLowerCase() || 'b']
+    if (!multiplier) {
+        return undefined
+    }
+    let result = Number(amount) * multiplier
+    return Number.isSafeInteger(result) ? result : undefined
+}
+
+/**
+ * Convert strings of keyword `unit` to numbers. Schemas which are
+ * referenced by `$ref` are not resolved, `validateUnitReferences()` rejects
+ * keyword `unit` in them.
+ *
+ * @param {any} config - Valid configuration.
+ * @param {object} [schema={}] - JSON schema of configuration.
+ * @return {any} - Copy of configuration if it has strings to convert,
+ * otherwise the configuration.
+ */
+function convertUnits(config, schema = {}) {
+    return convertValue(config, [schema])
+}
+
+/**
+ *
+ * @param {any} value
+ * @param {Array<any>} schemas - Schemas of the value.
+ * @return {any}
+ */
+function convertValue(value, schemas) {
+    let unit = getSchemasUnit(schemas)
+    if (unit && typeof value === 'string') {
+        let result = UNIT_PARSERS[unit](value)
+        return result === undefined ? value : result
+    }
+    if (lodash.isPlainObject(value)) {
+        let result = lodash.mapValues(value, (child, name) => {
+            return convertValue(child, getChildrenSchemas(schemas, name))
+        })
+        return isChangedValue(value, result) ? result : value
+    }
+    if (Array.isArray(value)) {
+        let result = value.map((item, index) => {
+            return convertValue(item, getChildrenSchemas(schemas, `${index}`))
+        })
+        return isChangedValue(value, result) ? result : value
+    }
+    return value
+}
+
+/**
+ * `save()` writes numbers which are converted from strings back as the
+ * strings, for example `30s` is kept instead of `30000`.
+ *
+ * @param {any} config - Configuration to save.
+ * @param {any} data - Parsed data from the existed file.
+ * @param {object} [schema={}] - JSON schema of configuration.
+ * @return {any} - Copy of configuration if it has numbers to restore,
+ * otherwise the configuration.
+ */
+function restoreUnits(config, data, schema = {}) {
+    return restoreValue(config, data, [schema])
+}
+
+/**
+ *
+ * @param {any} value
+ * @param {any} original - Value at the same path from the existed file.
+ * @param {Array<any>} schemas - Schemas of the value.
+ * @return {any}
+ */
+function restoreValue(value, original, schemas) {
+    let unit = getSchemasUnit(schemas)
+    if (unit && typeof value === 'number' && typeof original === 'string') {
+        return UNIT_PARSERS[unit](original) === value ? original : value
+    }
+    if (isContainer(value) && isContainer(original)) {
+        let entries = Object.entries(value).map(([name, child]) => {
+            let childSchemas = getChildrenSchemas(schemas, name)
+            return [name, restoreValue(child, original[name], childSchemas)]
+        })
+        let result = Array.isArray(value)
+            ? entries.map(([, child]) => child)
+            : Object.fromEntries(entries)
+        return isChangedValue(value, result) ? result : value
+    }
+    return value
+}
+
+/**
+ *
+ * @param {any} value
+ * @return {boolean} - True if the value is a plain object or an array.
+ */
+function isContainer(value) {
+    return lodash.isPlainObject(value) || Array.isArray(value)
+}
+
+/**
+ *
+ * @param {object | Array<any>} value
+ * @param {object | Array<any>} result - Copy of the value.
+ * @return {boolean} - True if an attribute or an item is changed.
+ */
+function isChangedValue(value, result) {
+    return Object.keys(value).some(key => result[key] !== value[key])
+}
+
+/**
+ *
+ * @param {Array<any>} schemas
+ * @param {string} name - Attribute name or array index.
+ * @return {Array<any>} - Schemas of the attribute.
+ */
+function getChildrenSchemas(schemas, name) {
+    return schemas.flatMap(schema => getChildSchemas(schema, name))
+}
+
+/**
+ *
+ * @param {Array<any>} schemas
+ * @return {string | undefined} - Value of keyword `unit` from the schemas
+ * or their subschemas of combination keywords.
+ */
+function getSchemasUnit(schemas) {
+    for (let schema of schemas) {
+        let unit = getSchemaUnit(schema)
+        if (unit) {
+            return unit
+        }
+    }
+    return undefined
+}
+
+/**
+ *
+ * @param {any} schema - JSON schema, it could be a boolean.
+ * @return {string | undefined}
+ */
+function getSchemaUnit(schema) {
+    if (!lodash.isPlainObject(schema)) {
+        return undefined
+    }
+    if (isUnit(schema.unit)) {
+        return schema.unit
+    }
+    let subschemas = COMBINATION_KEYWORDS.flatMap(keyword => {
+        return lodash.castArray(schema[keyword] || [])
+    })
+    return getSchemasUnit(subschemas)
+}
+
+/**
+ * Keyword `unit` under `$ref` is not converted by `convertUnits()`, so
+ * schemas which have it are invalid.
+ *
+ * @param {object} schema - Schema which is compiled by the `ajv`.
+ * @param {object} ajv - Instance of `Ajv`, it resolves references.
+ * @throws {Error} - A referenced schema has keyword `unit`.
+ */
+function validateUnitReferences(schema, ajv) {
+    let context = {ajv, visited: new Set(), referenced: new Set()}
+    let reference = findUnitReference(schema, '', undefined, context)
+    if (reference) {
+        throw new Error(
+            `keyword "unit" value is invalid at path "${reference}": ` +
+            'keyword unit is not supported under $ref'
+        )
+    }
+}
+
+/**
+ *
+ * @param {any} schema
+ * @param {string} baseId - Base URI of the schema.
+ * @param {string | undefined} reference - Resolved `$ref` which the schema
+ * is under.
+ * @param {object} context - Has `ajv` and sets of visited schemas.
+ * @return {string | undefined} - Resolved `$ref` which has keyword `unit`.
+ */
+function findUnitReference(schema, baseId, reference, context) {
+    let visited = reference ? context.referenced : context.visited
+    if (!lodash.isPlainObject(schema) || visited.has(schema)) {
+        return undefined
+    }
+    visited.add(schema)
+    if (reference && isUnit(schema.unit)) {
+        return reference
+    }
+    let {uriResolver} = context.ajv.opts
+    let id = (typeof schema.$id === 'string')
+        ? uriResolver.resolve(baseId, schema.$id)
+        : baseId
+    if (typeof schema.$ref === 'string') {
+        let ref = uriResolver.resolve(id, schema.$ref)
+        let result = findReferencedUnit(ref, reference || ref, context)
+        if (result) {
+            return result
+        }
+    }
+    for (let subschema of getNestedSchemas(schema)) {
+        let result = findUnitReference(subschema, id, reference, context)
+        if (result) {
+            return result
+        }
+    }
+    return undefined
+}
+
+/**
+ *
+ * @param {string} ref - Resolved `$ref`.
+ * @param {string} reference - Resolved `$ref` which the schema is under.
+ * @param {object} context - The same as `findUnitReference()`.
+ * @return {string | undefined} - Resolved `$ref` which has keyword `unit`.
+ */
+function findReferencedUnit(ref, reference, context) {
+    let target = context.ajv.getSchema(ref)
+    if (!target) {
+        return undefined
+    }
+    let baseId = ref.replace(/#.*$/, '')
+    return findUnitReference(target.schema, baseId, reference, context)
+}
+
+/**
+ *
+ * @param {object} schema
+ * @return {Array<any>} - Subschemas which are followed by `convertUnits()`.
+ */
+function getNestedSchemas(schema) {
+    let {properties = {}, patternProperties = {}} = schema
+    return [
+        ...Object.values(properties),
+        ...Object.values(patternProperties),
+        schema.additionalProperties,
+        ...lodash.castArray(schema.items || []),
+        schema.additionalItems,
+        ...COMBINATION_KEYWORDS.flatMap(keyword => {
+            return lodash.castArray(schema[keyword] || [])
+        })
+    ]
+}
+
+/**
+ *
+ * @param {any} value - Value of keyword `unit`.
+ * @return {boolean}
+ */
+function isUnit(value) {
+    return (typeof value === 'string') &&
+        Object.prototype.hasOwnProperty.call(UNIT_PARSERS, value)
+}
+
+module.exports = {
+    UNIT_KEYWORD,
+    convertUnits,
+    restoreUnits,
+    validateUnitReferences,
+    isUnit
+}
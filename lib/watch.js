@@ -0,0 +1,89 @@
+'use strict'
+
+const fs = require('fs')
+const EventEmitter = require('events')
+
+/**
+ * Hold the last valid configuration and reload it each time configuration
+ * files are changed. Event `change` means new configuration is valid, it is
+ * passed to listeners. Event `error` means new configuration is invalid,
+ * `LoadingError` is passed to listeners and current configuration is kept.
+ * If there is no listener for event `error` then the error is ignored.
+ */
+class ConfigurationWatcher extends EventEmitter {
+    /**
+     * Use `watch()` instead of this constructor.
+     *
+     * @private
+     * @param {Array<string>} filePaths - Files to watch.
+     * @param {any} config - Current valid configuration.
+     * @param {Function} reload - Return a promise of new valid configuration.
+     * @param {object} [options={}] - Valid `WatchOptions`.
+     */
+    constructor(filePaths, config, reload, options = {}) {
+        super()
+        let {interval = 1000} = options
+        this._filePaths = filePaths
+        this._config = config
+        this._reload = reload
+        this._reloading = Promise.resolve()
+        this._listener = () => this._scheduleReload()
+        for (let filePath of filePaths) {
+            fs.watchFile(filePath, {interval}, this._listener)
+        }
+    }
+
+    /**
+     * @return {any} - Last valid configuration.
+     */
+    get config() {
+        return this._config
+    }
+
+    /**
+     * @return {Array<string>} - Paths to watched configuration files.
+     */
+    get filePaths() {
+        return Array.from(this._filePaths)
+    }
+
+    /**
+     * Stop watching configuration files.
+     */
+    close() {
+        for (let filePath of this._filePaths) {
+            fs.unwatchFile(filePath, this._listener)
+        }
+    }
+
+    /**
+     * Reloading is run one by one, so the latest change wins. Errors from
+     * listeners are thrown as uncaught errors.
+     */
+    _scheduleReload() {
+        this._reloading = this._reloading
+            .then(() => this._reloadOnce())
+            .catch(error => process.nextTick(() => {
+                throw error
+            }))
+    }
+
+    async _reloadOnce() {
+        let config
+        try {
+            config = await this._reload()
+        }
+        catch (error) {
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error)
+            }
+            return
+        }
+        this._config = config
+        this.emit('change', config)
+    }
+}
+
+module.exports = {
+    ConfigurationWatcher
+}
@@ -0,0 +1,327 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const lodash = require('lodash')
+const commentJson = require('comment-json')
+const {InternalLoadingError, ERROR_CODES} = require('./error')
+
+/**
+ * Write a file atomically: content is written to a temporary file in the same
+ * directory, it is flushed to disk then renamed to the file. If the file is
+ * existed then its permission and owner are kept, symbolic links are
+ * followed.
+ *
+ * @param {string} filePath
+ * @param {string} content
+ * @param {number} [mode=0o600] - Permission of a new file.
+ * @throws {InternalLoadingError}
+ */
+function writeFileAtomic(filePath, content, mode = 0o600) {
+    let [targetPath, targetStat] = getTarget(filePath)
+    let tempPath = getTempPath(targetPath)
+    try {
+        let fd = fs.openSync(tempPath, 'wx', 0o600)
+        try {
+            writeContent(fd, content)
+            fs.fchmodSync(fd, targetStat ? targetStat.mode & 0o7777 : mode)
+            if (isOwnerChanged(targetStat, fs.fstatSync(fd))) {
+                fs.fchownSync(fd, targetStat.uid, targetStat.gid)
+            }
+            fs.fsyncSync(fd)
+        }
+        finally {
+            fs.closeSync(fd)
+        }
+        fs.renameSync(tempPath, targetPath)
+    }
+    catch (error) {
+        removeFile(tempPath)
+        throwWritingError(error)
+    }
+    syncDirectory(path.dirname(targetPath))
+}
+
+/**
+ * The same as `writeFileAtomic()` but uses `fs.promises`.
+ *
+ * @param {string} filePath
+ * @param {string} content
+ * @param {number} [mode=0o600] - Permission of a new file.
+ * @return {Promise<void>}
+ * @throws {InternalLoadingError}
+ */
+async function writeFileAtomicAsync(filePath, content, mode = 0o600) {
+    let {promises} = fs
+    let [targetPath, targetStat] = await getTargetAsync(filePath)
+    let tempPath = getTempPath(targetPath)
+    try {
+        let handle = await promises.open(tempPath, 'wx', 0o600)
+        try {
+            await writeContentAsync(handle, content)
+            await handle.chmod(targetStat ? targetStat.mode & 0o7777 : mode)
+            if (isOwnerChanged(targetStat, await handle.stat())) {
+                await handle.chown(targetStat.uid, targetStat.gid)
+            }
+            await handle.sync()
+        }
+        finally {
+            await handle.close()
+        }
+        await promises.rename(tempPath, targetPath)
+    }
+    catch (error) {
+        await removeFileAsync(tempPath)
+        throwWritingError(error)
+    }
+    await syncDirectoryAsync(path.dirname(targetPath))
+}
+
+/**
+ *
+ * @param {number} fd - File descriptor.
+ * @param {string} content
+ */
+function writeContent(fd, content) {
+    let buffer = Buffer.from(content)
+    for (let offset = 0; offset < buffer.length;) {
+        offset += fs.writeSync(fd, buffer, offset)
+    }
+}
+
+/**
+ * The same as `writeContent()` but uses `fs.promises`.
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @param {string} content
+ * @return {Promise<void>}
+ */
+async function writeContentAsync(handle, content) {
+    let buffer = Buffer.from(content)
+    for (let offset = 0; offset < buffer.length;) {
+        let {bytesWritten} = await handle.write(buffer, offset)
+        offset += bytesWritten
+    }
+}
+
+/**
+ * Errors are ignored, the file may not be created.
+ *
+ * @param {string} filePath
+ */
+function removeFile(filePath) {
+    try {
+        fs.unlinkSync(filePath)
+    }
+    catch {
+        return
+    }
+}
+
+/**
+ * The same as `removeFile()` but uses `fs.promises`.
+ *
+ * @param {string} filePath
+ * @return {Promise<void>}
+ */
+async function removeFileAsync(filePath) {
+    try {
+        await fs.promises.unlink(filePath)
+    }
+    catch {
+        return
+    }
+}
+
+/**
+ * Update JSON content by configuration. Comments, order and indentation of
+ * attributes which are still existed are kept, new attributes are appended.
+ *
+ * @param {string | undefined} content - JSON with comments, undefined means
+ * a new file.
+ * @param {any} config
+ * @return {string}
+ */
+function updateJsonContent(content, config) {
+    if (content === undefined) {
+        return stringifyJson(config)
+    }
+    let data = commentJson.parse(content)
+    let updatedData = updateData(data, config)
+    return stringifyJson(updatedData, content)
+}
+
+/**
+ *
+ * @param {any} data - Data with comments, it is modified.
+ * @param {any} config
+ * @return {any} - Updated data.
+ */
+function updateData(data, config) {
+    if (!lodash.isPlainObject(data) || !lodash.isPlainObject(config)) {
+        return lodash.cloneDeep(config)
+    }
+    for (let name of Object.keys(data)) {
+        if (!Object.prototype.hasOwnProperty.call(config, name)) {
+            delete data[name]
+        }
+    }
+    for (let [name, value] of Object.entries(config)) {
+        data[name] = updateData(data[name], value)
+    }
+    return data
+}
+
+/**
+ * Indentation of the original content is kept.
+ *
+ * @param {any} data - Data with comments from `comment-json`.
+ * @param {string} [originalContent] - Undefined means a new file, it is
+ * indented by 4 spaces.
+ * @return {string}
+ */
+function stringifyJson(data, originalContent = undefined) {
+    if (originalContent === undefined) {
+        return `${commentJson.stringify(data, null, 4)}\n`
+    }
+    let match = /^([ \t]+)\S/m.exec(originalContent)
+    let indent = match ? match[1] : 4
+    let content = commentJson.stringify(data, null, indent)
+    return originalContent.endsWith('\n') ? `${content}\n` : content
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @return {Array<any>} - Real path and stats of the file. If the file is not
+ * existed then they are the path and undefined.
+ * @throws {InternalLoadingError}
+ */
+function getTarget(filePath) {
+    try {
+        let targetPath = fs.realpathSync(filePath)
+        return [targetPath, fs.statSync(targetPath)]
+    }
+    catch (error) {
+        return getNewTarget(filePath, error)
+    }
+}
+
+/**
+ * The same as `getTarget()` but uses `fs.promises`.
+ *
+ * @param {string} filePath
+ * @return {Promise<Array<any>>} - Real path and stats of the file.
+ * @throws {InternalLoadingError}
+ */
+async function getTargetAsync(filePath) {
+    try {
+        let targetPath = await fs.promises.realpath(filePath)
+        return [targetPath, await fs.promises.stat(targetPath)]
+    }
+    catch (error) {
+        return getNewTarget(filePath, error)
+    }
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @param {any} error - From resolving the path.
+ * @return {Array<any>} - The path and undefined stats.
+ * @throws {InternalLoadingError}
+ */
+function getNewTarget(filePath, error) {
+    if (error && error.code === 'ENOENT') {
+        return [filePath, undefined]
+    }
+    return throwWritingError(error)
+}
+
+/**
+ *
+ * @param {fs.Stats | undefined} targetStat - Undefined means a new file.
+ * @param {fs.Stats} tempStat
+ * @return {boolean}
+ */
+function isOwnerChanged(targetStat, tempStat) {
+    return Boolean(targetStat) && (
+        (targetStat.uid !== tempStat.uid) ||
+        (targetStat.gid !== tempStat.gid)
+    )
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @return {string} - Path to a hidden file in the same directory.
+ */
+function getTempPath(filePath) {
+    let suffix = crypto.randomBytes(6).toString('hex')
+    let name = `.${path.basename(filePath)}.${suffix}.tmp`
+    return path.join(path.dirname(filePath), name)
+}
+
+/**
+ * Flush renaming to disk. Errors are ignored because some platforms and file
+ * systems do not support it, and the file is written already.
+ *
+ * @param {string} directory
+ */
+function syncDirectory(directory) {
+    try {
+        let fd = fs.openSync(directory, 'r')
+        try {
+            fs.fsyncSync(fd)
+        }
+        finally {
+            fs.closeSync(fd)
+        }
+    }
+    catch {
+        return
+    }
+}
+
+/**
+ * The same as `syncDirectory()` but uses `fs.promises`.
+ *
+ * @param {string} directory
+ * @return {Promise<void>}
+ */
+async function syncDirectoryAsync(directory) {
+    try {
+        let handle = await fs.promises.open(directory, 'r')
+        try {
+            await handle.sync()
+        }
+        finally {
+            await handle.close()
+        }
+    }
+    catch {
+        return
+    }
+}
+
+/**
+ *
+ * @param {Error} error - From writing a file.
+ * @throws {InternalLoadingError}
+ */
+function throwWritingError(error) {
+    throw new InternalLoadingError(
+        'can not write file',
+        ERROR_CODES.IO,
+        {reason: error.code || error.message},
+        {cause: error}
+    )
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeFileAtomicAsync,
+    updateJsonContent,
+    stringifyJson
+}
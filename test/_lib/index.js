@@ -23,7 +23,63 @@ function readDataFile(relativePath) {
     return fs.readFileSync(realPath, 'utf-8')
 }
 
+/**
+ *
+ * @param {Function} fn
+ * @return {any} - Error is thrown by `fn`.
+ * @throws {Error} - `fn` does not throw any error.
+ */
+function catchError(fn) {
+    try {
+        fn()
+    }
+    catch (error) {
+        return error
+    }
+    throw new Error('expect an error')
+}
+
+/**
+ * Set environment variables, previous values are restored by calling this
+ * function again with the result.
+ *
+ * @param {object} variables - Environment variables to set, undefined values
+ * are removed.
+ * @return {object} - Previous values.
+ */
+function setVariables(variables) {
+    let previousValues = {}
+    for (let [name, value] of Object.entries(variables)) {
+        previousValues[name] = process.env[name]
+        if (value === undefined) {
+            delete process.env[name]
+        }
+        else {
+            process.env[name] = value
+        }
+    }
+    return previousValues
+}
+
+/**
+ * Remove a directory and its content. `fs.rmSync()` is used if it is
+ * available, `fs.rmdirSync()` with option `recursive` is deprecated since
+ * Node.js 16.
+ *
+ * @param {string} directory
+ */
+function removeDirectory(directory) {
+    if (typeof fs.rmSync === 'function') {
+        fs.rmSync(directory, {recursive: true, force: true})
+        return
+    }
+    fs.rmdirSync(directory, {recursive: true})
+}
+
 module.exports = {
     getDataFilePath,
-    readDataFile
+    readDataFile,
+    catchError,
+    setVariables,
+    removeDirectory
 }
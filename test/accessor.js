@@ -0,0 +1,139 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: immutable configuration and accessor', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer'}
+                }
+            },
+            servers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: {type: 'string'}
+                    }
+                }
+            },
+            labels: {
+                type: 'object',
+                additionalProperties: {type: 'string'}
+            }
+        }
+    }
+    beforeEach(() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: JSON.stringify({
+                    db: {host: 'db.host'},
+                    servers: [{name: 'server.foo'}],
+                    labels: {team: 'team.foo'}
+                })
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('freeze, configuration can not be modified', () => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            freeze: true
+        }
+        let config = seed.load(options)
+        assert.ok(Object.isFrozen(config))
+        assert.ok(Object.isFrozen(config.db))
+        assert.ok(Object.isFrozen(config.servers[0]))
+        assert.throws(() => (config.db.host = 'other.host'), TypeError)
+    })
+    it('freeze, default values of caller are not frozen', () => {
+        mockFs({
+            'config.json': mockFs.file({mode: 0o600, content: '{}'})
+        })
+        let defaultValues = {
+            db: {host: 'db.default'}
+        }
+        let config = seed.load({
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            defaultValues: defaultValues,
+            freeze: true
+        })
+        assert.ok(Object.isFrozen(config.db))
+        assert.ok(!Object.isFrozen(defaultValues.db))
+        assert.notStrictEqual(config.db, defaultValues.db)
+    })
+    it('accessor, get declared attributes', async() => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            accessor: true
+        }
+        let config = await seed.loadAsync(options)
+        assert.ok(config instanceof seed.ConfigurationAccessor)
+        assert.strictEqual(config.get('db.host'), 'db.host')
+        assert.strictEqual(config.get('db.port'), undefined)
+        assert.strictEqual(config.get(['servers', '0', 'name']), 'server.foo')
+        assert.strictEqual(config.get('labels.team'), 'team.foo')
+        assert.strictEqual(config.has('db.host'), true)
+        assert.strictEqual(config.has('db.port'), false)
+        assert.strictEqual(config.require('db.host'), 'db.host')
+        assert.deepStrictEqual(config.value.db, {host: 'db.host'})
+    })
+    it('accessor, undeclared attribute, throws error', () => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            accessor: true
+        }
+        let config = seed.load(options)
+        let expectedError = {
+            name: 'LoadingError',
+            message: 'undeclared attribute',
+            labels: {
+                path: 'db.hots'
+            }
+        }
+        assert.throws(() => config.get('db.hots'), expectedError)
+        assert.throws(() => config.has('db.hots'), expectedError)
+        assert.throws(() => config.require('db.hots'), expectedError)
+    })
+    it('accessor, require missing attribute, throws error', () => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            accessor: true
+        }
+        let config = seed.load(options)
+        assert.throws(
+            () => config.require('db.port'),
+            {
+                name: 'LoadingError',
+                message: 'missing attribute',
+                labels: {
+                    path: 'db.port'
+                }
+            }
+        )
+    })
+    it('invalid freeze option, throws error', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', freeze: 1}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: freeze'
+            }
+        )
+    })
+})
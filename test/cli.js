@@ -0,0 +1,222 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const mockFs = require('mock-fs')
+const {main} = require('../lib/cli')
+
+/**
+ *
+ * @param {Array<string>} args - Command line arguments.
+ * @return {object} - Has attributes `code`, `stdout` and `stderr`.
+ */
+function run(args) {
+    let result = {stdout: '', stderr: ''}
+    let io = {
+        stdout: {write: data => (result.stdout += data)},
+        stderr: {write: data => (result.stderr += data)}
+    }
+    result.code = main(args, io)
+    return result
+}
+
+describe('seed command line tool', () => {
+    beforeEach(() => {
+        mockFs({
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"port": 80}'
+            }),
+            'schema.json': JSON.stringify({
+                type: 'object',
+                properties: {
+                    port: {type: 'integer'},
+                    host: {type: 'string', default: 'localhost'}
+                }
+            }),
+            'secret.json': JSON.stringify({
+                type: 'object',
+                properties: {
+                    port: {type: 'integer'},
+                    password: {
+                        type: 'string',
+                        writeOnly: true,
+                        default: '12345'
+                    }
+                }
+            }),
+            'bad_schema.json': '{',
+            'key': mockFs.file({
+                mode: 0o600,
+                content: Buffer.alloc(32, 7).toString('base64')
+            }),
+            'other_key': mockFs.file({
+                mode: 0o600,
+                content: Buffer.alloc(32, 9).toString('base64')
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('validate, exit zero', () => {
+        let args = ['validate', '--identity', 'foo', '--schema', 'schema.json']
+        let {code, stdout} = run(args)
+        assert.strictEqual(code, 0)
+        assert.strictEqual(stdout, 'configuration is valid\n')
+    })
+    it('validate invalid file, print error and exit non-zero', () => {
+        let args = [
+            'validate',
+            '--identity=foo',
+            '--schema=schema.json',
+            '--file=/etc/foo/other.json'
+        ]
+        let {code, stderr} = run(args)
+        assert.strictEqual(code, 1)
+        assert.strictEqual(
+            stderr,
+            '/etc/foo/other.json: file is not existed or access denied\n'
+        )
+    })
+    it('print configuration with default values', () => {
+        let args = ['print', '--identity', 'foo', '--schema', 'schema.json']
+        let {code, stdout} = run(args)
+        assert.strictEqual(code, 0)
+        assert.deepStrictEqual(
+            JSON.parse(stdout),
+            {port: 80, host: 'localhost'}
+        )
+    })
+    it('print, redact secret values', () => {
+        let args = ['print', '--identity', 'foo', '--schema', 'secret.json']
+        let {code, stdout} = run(args)
+        assert.strictEqual(code, 0)
+        assert.deepStrictEqual(
+            JSON.parse(stdout),
+            {port: 80, password: '[REDACTED]'}
+        )
+    })
+    it('print with --show-secrets, print secret values', () => {
+        let args = [
+            'print',
+            '--identity=foo',
+            '--schema=secret.json',
+            '--show-secrets'
+        ]
+        let {code, stdout} = run(args)
+        assert.strictEqual(code, 0)
+        assert.deepStrictEqual(
+            JSON.parse(stdout),
+            {port: 80, password: '12345'}
+        )
+    })
+    it('option --show-secrets of command validate, print usage', () => {
+        let args = ['validate', '--identity', 'foo', '--show-secrets']
+        let {code} = run(args)
+        assert.strictEqual(code, 2)
+    })
+    it('which, print picked and skipped files', () => {
+        let {code, stdout} = run(['which', '--identity', 'foo'])
+        let lines = stdout.trim().split('\n')
+        assert.strictEqual(code, 0)
+        assert.strictEqual(lines[0], 'picked: /etc/foo/config.json')
+        assert.strictEqual(lines[1], 'skipped: ./config.json')
+    })
+    it('bad schema file, exit non-zero', () => {
+        let args = ['print', '--identity', 'foo', '--schema', 'bad_schema.json']
+        let {code, stderr} = run(args)
+        assert.strictEqual(code, 1)
+        assert.ok(stderr.startsWith('bad_schema.json: bad schema file\n'))
+    })
+    it('template, write configuration file', () => {
+        let args = ['template', '--schema', 'schema.json', '--output', 'x.json']
+        let {code, stdout} = run(args)
+        let output = fs.readFileSync('x.json', 'utf-8')
+        assert.strictEqual(code, 0)
+        assert.strictEqual(stdout, '')
+        assert.ok(output.includes('// default: "localhost"'))
+        assert.strictEqual(fs.statSync('x.json').mode & 0o777, 0o600)
+    })
+    it('template, output file is existed, exit non-zero', () => {
+        let args = ['template', '--output', 'schema.json']
+        let {code, stderr} = run(args)
+        assert.strictEqual(code, 1)
+        assert.ok(stderr.startsWith('schema.json: can not write file\n'))
+    })
+    it('types, print TypeScript declaration', () => {
+        let args = ['types', '--schema', 'schema.json', '--type-name', 'Foo']
+        let {code, stdout} = run(args)
+        assert.strictEqual(code, 0)
+        assert.ok(stdout.startsWith('export interface Foo {\n'))
+        assert.ok(stdout.includes('    host: string\n'))
+    })
+    it('encrypt file, then load it', () => {
+        let encryption = run([
+            'encrypt',
+            '--file=/etc/foo/config.json',
+            '--key-file=key',
+            '--output=config.json.enc'
+        ])
+        let printing = run([
+            'print',
+            '--identity=foo',
+            '--file=config.json.enc',
+            '--key-file=key'
+        ])
+        assert.strictEqual(encryption.code, 0)
+        assert.strictEqual(encryption.stdout, '')
+        assert.strictEqual(fs.statSync('config.json.enc').mode & 0o777, 0o600)
+        assert.strictEqual(printing.code, 0)
+        assert.strictEqual(printing.stdout, '{\n    "port": 80\n}\n')
+    })
+    it('decrypt file, print content', () => {
+        run([
+            'encrypt',
+            '--file=schema.json',
+            '--key-file=key',
+            '--output=schema.json.enc'
+        ])
+        let args = ['decrypt', '--file', 'schema.json.enc', '--key-file', 'key']
+        let {code, stdout} = run(args)
+        assert.strictEqual(code, 0)
+        assert.strictEqual(stdout, fs.readFileSync('schema.json', 'utf-8'))
+    })
+    it('decrypt by wrong key, exit non-zero', () => {
+        run([
+            'encrypt',
+            '--file=schema.json',
+            '--key-file=key',
+            '--output=schema.json.enc'
+        ])
+        let {code, stderr} = run([
+            'decrypt',
+            '--file=schema.json.enc',
+            '--key-file=other_key'
+        ])
+        assert.strictEqual(code, 1)
+        assert.ok(stderr.startsWith('can not decrypt file\n'))
+    })
+    it('encrypt without input file, exit non-zero', () => {
+        let {code, stderr} = run(['encrypt', '--key-file', 'key'])
+        assert.strictEqual(code, 1)
+        assert.strictEqual(stderr, 'no input file\n')
+    })
+    it('invalid arguments, print usage', () => {
+        let {code, stderr} = run(['print', '--unknown'])
+        assert.strictEqual(code, 2)
+        assert.ok(stderr.startsWith('Usage: seed'))
+    })
+    it('option of other command, print usage', () => {
+        let args = ['validate', '--identity', 'foo', '--output', 'x']
+        let {code, stderr} = run(args)
+        assert.strictEqual(code, 2)
+        assert.ok(stderr.startsWith('Usage: seed'))
+    })
+    it('option --type-name of command print, print usage', () => {
+        let args = ['print', '--identity', 'foo', '--type-name', 'Foo']
+        let {code, stderr} = run(args)
+        assert.strictEqual(code, 2)
+        assert.ok(stderr.startsWith('Usage: seed'))
+    })
+})
@@ -0,0 +1,263 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {catchError} = require('./_lib')
+
+describe('seed.LoadingError: codes and subclasses', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            port: {type: 'integer'}
+        }
+    }
+    beforeEach(() => {
+        mockFs({
+            'valid.json': mockFs.file({
+                mode: 0o600,
+                content: '{"port": 80}'
+            }),
+            'invalid.json': mockFs.file({
+                mode: 0o600,
+                content: '{"port": 80'
+            }),
+            'invalid.yaml': mockFs.file({
+                mode: 0o600,
+                content: 'port: 80\npassword: "hunter2\n'
+            }),
+            'invalid.toml': mockFs.file({
+                mode: 0o600,
+                content: 'port = 80\npassword = "hunter2\n'
+            }),
+            'bad_attribute.json': mockFs.file({
+                mode: 0o600,
+                content: '{"port": "80"}'
+            }),
+            'open.json': mockFs.file({
+                mode: 0o644,
+                content: '{"port": 80}'
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('file is not existed, throws NotFoundError', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', filePath: 'missing.json'}),
+            error => {
+                assert.ok(error instanceof seed.NotFoundError)
+                assert.ok(error instanceof seed.LoadingError)
+                assert.strictEqual(error.name, 'LoadingError')
+                assert.strictEqual(error.code, 'E_NOT_FOUND')
+                assert.strictEqual(error.cause.code, 'ENOENT')
+                return true
+            }
+        )
+    })
+    it('path has a file as directory, throws FileSystemError', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', filePath: 'valid.json/x'}),
+            error => {
+                assert.ok(error instanceof seed.FileSystemError)
+                assert.strictEqual(error.code, 'E_IO')
+                assert.strictEqual(error.message, 'can not read file')
+                assert.strictEqual(error.filePath, 'valid.json/x')
+                assert.strictEqual(error.cause.code, 'ENOTDIR')
+                return true
+            }
+        )
+    })
+    it('key file is a directory, throws UnsupportedFileError', () => {
+        mockFs({
+            'config.json.enc': mockFs.file({mode: 0o600, content: ''}),
+            'key': {}
+        })
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'config.json.enc',
+                encryption: {keyFile: 'key'}
+            }),
+            error => {
+                assert.ok(error instanceof seed.UnsupportedFileError)
+                assert.strictEqual(error.code, 'E_UNSUPPORTED_FILE')
+                assert.strictEqual(error.message, 'not a regular file')
+                assert.strictEqual(error.filePath, 'key')
+                return true
+            }
+        )
+    })
+    it('file permission is too open, throws PermissionError', async() => {
+        await assert.rejects(
+            () => seed.loadAsync({identity: 'foo', filePath: 'open.json'}),
+            error => {
+                assert.ok(error instanceof seed.PermissionError)
+                assert.strictEqual(error.code, 'E_PERMISSION')
+                assert.strictEqual(error.cause, undefined)
+                return true
+            }
+        )
+    })
+    it('invalid JSON format, throws ParseError', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', filePath: 'invalid.json'}),
+            error => {
+                assert.ok(error instanceof seed.ParseError)
+                assert.strictEqual(error.code, 'E_PARSE')
+                assert.strictEqual(error.filePath, 'invalid.json')
+                assert.ok(error.cause instanceof Error)
+                return true
+            }
+        )
+    })
+    it('bad attribute, throws SchemaError', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'bad_attribute.json',
+                schema: SAMPLE_SCHEMA
+            }),
+            {
+                name: 'LoadingError',
+                code: 'E_SCHEMA',
+                message: 'bad attribute'
+            }
+        )
+    })
+    it('invalid option, throws OptionError', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', layered: 1}),
+            error => {
+                assert.ok(error instanceof seed.OptionError)
+                assert.strictEqual(error.code, 'E_INVALID_OPTION')
+                return true
+            }
+        )
+    })
+    it('bad schema, throws OptionError which has cause from ajv', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'valid.json',
+                schema: {unknownKeyword: 'one'}
+            }),
+            error => {
+                assert.ok(error instanceof seed.OptionError)
+                assert.strictEqual(error.message, 'bad schema')
+                assert.ok(error.cause instanceof Error)
+                return true
+            }
+        )
+    })
+    it('migration failed, throws MigrationError which has cause', () => {
+        let cause = new Error('can not rename attribute')
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'valid.json',
+                migration: {
+                    version: 2,
+                    migrations: {
+                        1: () => {
+                            throw cause
+                        }
+                    }
+                }
+            }),
+            error => {
+                assert.ok(error instanceof seed.MigrationError)
+                assert.strictEqual(error.code, 'E_MIGRATION')
+                assert.strictEqual(error.cause, cause)
+                return true
+            }
+        )
+    })
+    it('undeclared attribute of accessor, throws AttributeError', () => {
+        let accessor = seed.load({
+            identity: 'foo',
+            filePath: 'valid.json',
+            schema: SAMPLE_SCHEMA,
+            accessor: true
+        })
+        assert.throws(
+            () => accessor.get('host'),
+            error => {
+                assert.ok(error instanceof seed.AttributeError)
+                assert.strictEqual(error.code, 'E_ATTRIBUTE')
+                return true
+            }
+        )
+    })
+    it('toJSON, return plain object with cause', () => {
+        let cause = new TypeError('can not rename attribute')
+        let error = new seed.MigrationError(
+            'migration failed',
+            'config.json',
+            {version: 1},
+            {cause}
+        )
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {
+            name: 'LoadingError',
+            code: 'E_MIGRATION',
+            message: 'migration failed',
+            filePath: 'config.json',
+            labels: {version: 1},
+            cause: {
+                name: 'TypeError',
+                message: 'can not rename attribute'
+            }
+        })
+    })
+    it('toJSON of ParseError, message of cause is dropped', () => {
+        let cause = new SyntaxError('unexpected end: {"password": "hunter2')
+        let error = new seed.ParseError(
+            'invalid JSON format',
+            'config.json',
+            {line: 1, column: 11},
+            {cause}
+        )
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {
+            name: 'LoadingError',
+            code: 'E_PARSE',
+            message: 'invalid JSON format',
+            filePath: 'config.json',
+            labels: {line: 1, column: 11},
+            cause: {
+                name: 'SyntaxError',
+                line: 1,
+                column: 11
+            }
+        })
+    })
+    it('invalid YAML and TOML format, toJSON has no secret values', () => {
+        for (let filePath of ['invalid.yaml', 'invalid.toml']) {
+            let error = catchError(() => {
+                return seed.load({identity: 'foo', filePath})
+            })
+            assert.ok(error instanceof seed.ParseError)
+            assert.ok(error.cause.message.includes('hunter2'))
+            assert.ok(!JSON.stringify(error).includes('hunter2'))
+            assert.ok(!error.format().includes('hunter2'))
+        }
+    })
+    it('toJSON without cause, return plain object', () => {
+        let error = new seed.LoadingError('no configuration file')
+        assert.deepStrictEqual(error.toJSON(), {
+            name: 'LoadingError',
+            code: 'E_LOADING',
+            message: 'no configuration file',
+            filePath: undefined,
+            labels: {},
+            cause: undefined
+        })
+    })
+    it('codes are exported', () => {
+        assert.strictEqual(seed.ERROR_CODES.NOT_FOUND, 'E_NOT_FOUND')
+        assert.strictEqual(seed.ERROR_CODES.INVALID_OPTION, 'E_INVALID_OPTION')
+        assert.strictEqual(seed.LoadingError.code, 'E_LOADING')
+        assert.strictEqual(seed.NotFoundError.code, 'E_NOT_FOUND')
+        assert.strictEqual(new seed.AttributeError('x').code, 'E_ATTRIBUTE')
+    })
+})
@@ -366,6 +366,155 @@ describe('seed.load: configuration', () => {
         let actualResult = seed.load(options)
         assert.deepStrictEqual(actualResult, expectedResult)
     })
+    it('keyword default from schema, return default values', () => {
+        let schema = {
+            type: 'object',
+            properties: {
+                age: {type: 'integer'},
+                address: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        city: {type: 'string', default: 'city.foo'},
+                        country: {type: 'string', default: 'country.foo'}
+                    }
+                }
+            }
+        }
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('optional_attribute.json'),
+            schema: schema,
+            defaultValues: {
+                'address.city': 'city.bar'
+            }
+        }
+        let expectedResult = {
+            name: 'foo',
+            age: 18,
+            address: {
+                city: 'city.bar',
+                country: 'country.foo'
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('keyword default in anyOf, it is ignored', () => {
+        let schema = {
+            type: 'object',
+            properties: {
+                address: {
+                    anyOf: [
+                        {
+                            type: 'object',
+                            properties: {
+                                city: {type: 'string', default: 'city.foo'}
+                            }
+                        },
+                        {type: 'null'}
+                    ]
+                }
+            }
+        }
+        let actualResult = seed.load({
+            identity: 'foo',
+            filePath: getDataFilePath('optional_attribute.json'),
+            schema: schema
+        })
+        assert.deepStrictEqual(actualResult, {name: 'foo', age: 18})
+    })
+    it('union type, warning of strict types is not thrown', () => {
+        let schema = {
+            type: 'object',
+            properties: {
+                name: {type: ['string', 'number']}
+            }
+        }
+        let warn = console.warn
+        let warnings = []
+        console.warn = message => warnings.push(message)
+        try {
+            let actualResult = seed.load({
+                identity: 'foo',
+                filePath: getDataFilePath('optional_attribute.json'),
+                schema: schema
+            })
+            assert.deepStrictEqual(actualResult, {name: 'foo', age: 18})
+        }
+        finally {
+            console.warn = warn
+        }
+        assert.ok(warnings[0].endsWith('(strictTypes)'))
+    })
+    it('default values are objects, they are not modified', () => {
+        let schema = {
+            type: 'object',
+            properties: {
+                address: {
+                    type: 'object',
+                    properties: {
+                        city: {type: 'string'},
+                        country: {type: 'string', default: 'country.foo'}
+                    }
+                }
+            }
+        }
+        let defaultValues = {
+            address: {city: 'city.bar'}
+        }
+        let actualResult = seed.load({
+            identity: 'foo',
+            filePath: getDataFilePath('optional_attribute.json'),
+            schema: schema,
+            defaultValues: defaultValues
+        })
+        assert.deepStrictEqual(actualResult.address, {
+            city: 'city.bar',
+            country: 'country.foo'
+        })
+        assert.deepStrictEqual(defaultValues, {
+            address: {city: 'city.bar'}
+        })
+    })
+    it('default values satisfy required attributes', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('missing_attribute.json'),
+            schema: SAMPLE_SCHEMA,
+            defaultValues: {
+                age: 18
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, {name: 'foo', age: 18})
+    })
+    it('invalid default values, throws error', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('optional_attribute.json'),
+            schema: SAMPLE_SCHEMA,
+            defaultValues: {
+                'address.city': 1
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                labels: {
+                    instancePath: '/address/city',
+                    keyword: 'type',
+                    params: {
+                        type: 'string'
+                    },
+                    schemaPath: '#/properties/address/properties/city/type',
+                    message: 'must be string'
+                }
+            }
+        )
+    })
     it('return valid configuration', () => {
         let options = {
             identity: 'foo',
@@ -0,0 +1,113 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {getDataFilePath, catchError} = require('./_lib')
+
+describe('seed.load: all errors', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        required: ['name', 'age', 'address'],
+        properties: {
+            name: {type: 'string'},
+            age: {type: 'integer'},
+            address: {type: 'object'},
+            friends: {
+                type: 'array',
+                items: {type: 'string'}
+            }
+        }
+    }
+    afterEach(() => mockFs.restore())
+    it('report all violations with locations', () => {
+        let filePath = getDataFilePath('invalid_attributes.json')
+        let options = {
+            identity: 'foo',
+            filePath: filePath,
+            schema: SAMPLE_SCHEMA,
+            allErrors: true
+        }
+        let error = catchError(() => seed.load(options))
+        assert.strictEqual(error.name, 'LoadingError')
+        assert.strictEqual(error.message, 'bad attribute')
+        let actualViolations = error.labels.errors.map(violation => {
+            let {instancePath, keyword, line, column} = violation
+            return {instancePath, keyword, line, column}
+        })
+        let expectedViolations = [
+            {instancePath: '', keyword: 'required', line: 2, column: 0},
+            {instancePath: '/name', keyword: 'type', line: 3, column: 12},
+            {instancePath: '/age', keyword: 'type', line: 4, column: 11},
+            {instancePath: '/friends/1', keyword: 'type', line: 5, column: 23}
+        ]
+        assert.deepStrictEqual(actualViolations, expectedViolations)
+        assert.strictEqual(error.labels.errors[1].filePath, filePath)
+    })
+    it('format violations as multiple lines', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{\n    "name": "foo",\n    "age": -1\n}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: {
+                type: 'object',
+                required: ['address'],
+                properties: {
+                    age: {type: 'integer', minimum: 0}
+                }
+            },
+            allErrors: true
+        }
+        let error = catchError(() => seed.load(options))
+        let expectedMessage = [
+            'config.json: bad attribute',
+            '  config.json:1:0: /: must have required property \'address\'',
+            '  config.json:3:11: /age: must be >= 0'
+        ].join('\n')
+        assert.strictEqual(error.format(), expectedMessage)
+    })
+    it('locate violations from the highest priority file', async() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"age": "18"}'
+            }),
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{\n"name": 1, "age": 18}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            layered: true,
+            schema: SAMPLE_SCHEMA,
+            allErrors: true
+        }
+        let error = await seed.loadAsync(options).catch(error => error)
+        let [, nameViolation, ageViolation] = error.labels.errors
+        assert.strictEqual(nameViolation.filePath, '/etc/foo/config.json')
+        assert.strictEqual(nameViolation.line, 2)
+        assert.strictEqual(ageViolation.filePath, './config.json')
+        assert.strictEqual(ageViolation.line, 1)
+    })
+    it('format error without violations', () => {
+        let error = new seed.LoadingError(
+            'file permission is too open',
+            'config.json',
+            {upperBoundary: '0o600', actual: '0o644'}
+        )
+        let expectedMessage = [
+            'config.json: file permission is too open',
+            '  upperBoundary: 0o600',
+            '  actual: 0o644'
+        ].join('\n')
+        assert.strictEqual(error.format(), expectedMessage)
+    })
+})
@@ -0,0 +1,110 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: command line arguments', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            name: {type: 'string'},
+            server: {
+                type: 'object',
+                properties: {
+                    port: {type: 'integer'},
+                    debug: {type: 'boolean'}
+                }
+            }
+        }
+    }
+    beforeEach(() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"name": "cwd", "server": {"port": 80}}'
+            }),
+            '/tmp/x.json': mockFs.file({
+                mode: 0o600,
+                content: '{"name": "x"}'
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('override attributes and coerce types', () => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            argv: [
+                'start',
+                '--config.server.port=8080',
+                '--verbose',
+                '--config.server.debug',
+                'true'
+            ]
+        }
+        let expectedResult = {
+            name: 'cwd',
+            server: {
+                port: 8080,
+                debug: true
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('flag --config-file replaces option filePath', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            argv: ['--config-file=/tmp/x.json']
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, {name: 'x'})
+    })
+    it('override environment variables', async() => {
+        process.env.MYAPP_NAME = 'env'
+        let options = {
+            identity: 'foo',
+            env: {prefix: 'MYAPP'},
+            argv: ['--config.name=argv']
+        }
+        try {
+            let actualResult = await seed.loadAsync(options)
+            assert.strictEqual(actualResult.name, 'argv')
+        }
+        finally {
+            delete process.env.MYAPP_NAME
+        }
+    })
+    it('value is not convertible, throws error', () => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            argv: ['--config.server.port=abc']
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                filePath: './config.json'
+            }
+        )
+    })
+    it('flag has no value, throws error', () => {
+        let options = {
+            identity: 'foo',
+            argv: ['--config-file', '--config.name=foo']
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: argv'
+            }
+        )
+    })
+})
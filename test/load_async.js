@@ -0,0 +1,210 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {getDataFilePath} = require('./_lib')
+
+describe('seed.loadAsync: input', () => {
+    it('invalid option identity, rejects error', async() => {
+        let options = {
+            identity: '!@#$'
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: identity'
+            }
+        )
+    })
+    it('has unknown option, rejects error', async() => {
+        let options = {
+            foo: 'one'
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'unknown option: foo',
+                labels: {}
+            }
+        )
+    })
+})
+describe('seed.loadAsync: file', () => {
+    afterEach(() => {
+        mockFs.restore()
+    })
+    it('not existed, rejects error', async() => {
+        let filePath = getDataFilePath('not_existed_file.json')
+        let options = {
+            identity: 'foo',
+            filePath: filePath
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'file is not existed or access denied',
+                filePath: filePath,
+                labels: {}
+            }
+        )
+    })
+    it('invalid JSON format, rejects error', async() => {
+        mockFs({
+            'invalid.json': mockFs.file({
+                content: '\\\\\\',
+                mode: 0o600
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'invalid.json'
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid JSON format',
+                filePath: 'invalid.json',
+                labels: {
+                    line: 1,
+                    column: 2
+                }
+            }
+        )
+    })
+    it('not a regular file, rejects error', async() => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('')
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'not a regular file',
+                labels: {}
+            }
+        )
+    })
+    it('invalid file permission, rejects error', async() => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('permission_701.json'),
+            filePermission: 0o700
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                labels: {
+                    upperBoundary: '0o700',
+                    actual: '0o701'
+                }
+            }
+        )
+    })
+})
+describe('seed.loadAsync: configuration', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        required: ['name', 'age'],
+        properties: {
+            name: {
+                type: 'string'
+            },
+            age: {
+                type: 'integer'
+            }
+        }
+    }
+    it('invalid attribute types, rejects error', async() => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('invalid_type.json'),
+            schema: SAMPLE_SCHEMA
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                labels: {
+                    instancePath: '/age',
+                    keyword: 'type',
+                    params: {
+                        type: 'integer'
+                    },
+                    schemaPath: '#/properties/age/type',
+                    message: 'must be integer'
+                }
+            }
+        )
+    })
+    it('return valid configuration with default values', async() => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('optional_attribute.json'),
+            schema: SAMPLE_SCHEMA,
+            defaultValues: {
+                'address.city': 'city.bar'
+            }
+        }
+        let expectedResult = {
+            name: 'foo',
+            age: 18,
+            address: {
+                city: 'city.bar'
+            }
+        }
+        let actualResult = await seed.loadAsync(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
+describe('seed.loadAsync from standard file paths', () => {
+    let userFilePath = path.join(os.homedir(), '.config/foo/config.json')
+    let systemFilePath = '/etc/foo/config.json'
+    afterEach(() => mockFs.restore())
+    it('from home configuration file', async() => {
+        mockFs({
+            [userFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"foo": "user"}'
+            }),
+            [systemFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"foo": "system"}'
+            })
+        })
+        let actualResult = await seed.loadAsync({identity: 'foo'})
+        assert.deepStrictEqual(actualResult, {foo: 'user'})
+    })
+    it('from system configuration file', async() => {
+        mockFs({
+            [systemFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"foo": "system"}'
+            })
+        })
+        let actualResult = await seed.loadAsync({identity: 'foo'})
+        assert.deepStrictEqual(actualResult, {foo: 'system'})
+    })
+    it('no configuration file, rejects error', async() => {
+        mockFs({})
+        await assert.rejects(
+            seed.loadAsync({identity: 'foo'}),
+            {
+                name: 'LoadingError',
+                message: 'no configuration file'
+            }
+        )
+    })
+})
@@ -0,0 +1,158 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: drop-in directories', () => {
+    let userDirectory = path.join(os.homedir(), '.config/foo')
+    beforeEach(() => {
+        mockFs({
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"host": "system.host", "port": 3000}}'
+            }),
+            '/etc/foo/config.d': {
+                '20-port.json': mockFs.file({
+                    mode: 0o600,
+                    content: '{"db": {"port": 3306}}'
+                }),
+                '10-host.yaml': mockFs.file({
+                    mode: 0o600,
+                    content: 'db:\n  host: fragment.host\n  port: 1\n'
+                }),
+                '.hidden.json': mockFs.file({
+                    mode: 0o600,
+                    content: '{"hidden": true}'
+                }),
+                'readme.txt': 'not a fragment',
+                'nested.json': {}
+            },
+            [path.join(userDirectory, 'config.json')]: mockFs.file({
+                mode: 0o600,
+                content: '{"name": "user.foo"}'
+            }),
+            [path.join(userDirectory, 'config.d/logging.json')]: mockFs.file({
+                mode: 0o600,
+                content: '{"logging": "debug"}'
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('merge fragments by lexical order', () => {
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            dropIns: true
+        }
+        let expectedResult = {
+            db: {
+                host: 'fragment.host',
+                port: 3306
+            }
+        }
+        assert.deepStrictEqual(seed.load(options), expectedResult)
+    })
+    it('layered mode, merge fragments in each location', async() => {
+        let options = {
+            identity: 'foo',
+            layered: true,
+            dropIns: true,
+            metadata: true
+        }
+        let {config, metadata} = await seed.loadAsync(options)
+        assert.deepStrictEqual(config, {
+            db: {
+                host: 'fragment.host',
+                port: 3306
+            },
+            name: 'user.foo',
+            logging: 'debug'
+        })
+        assert.deepStrictEqual(metadata.filePaths, [
+            '/etc/foo/config.json',
+            '/etc/foo/config.d/10-host.yaml',
+            '/etc/foo/config.d/20-port.json',
+            path.join(userDirectory, 'config.json'),
+            path.join(userDirectory, 'config.d/logging.json')
+        ])
+    })
+    it('drop-ins are disabled by default', () => {
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json'
+        }
+        assert.strictEqual(seed.load(options).db.host, 'system.host')
+    })
+    it('invalid option dropIns, throws error', () => {
+        let options = {
+            identity: 'foo',
+            dropIns: 'yes'
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: dropIns'
+            }
+        )
+    })
+    it('fragment permission is too open, throws error', () => {
+        mockFs({
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{}'
+            }),
+            '/etc/foo/config.d/secret.json': mockFs.file({
+                mode: 0o644,
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            dropIns: true
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                filePath: '/etc/foo/config.d/secret.json',
+                labels: {
+                    upperBoundary: '0o600',
+                    actual: '0o644'
+                }
+            }
+        )
+    })
+    it('invalid fragment, error names the fragment', async() => {
+        mockFs({
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{}'
+            }),
+            '/etc/foo/config.d/broken.json': mockFs.file({
+                mode: 0o600,
+                content: '{"a": 1'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            dropIns: true
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid JSON format',
+                filePath: '/etc/foo/config.d/broken.json'
+            }
+        )
+    })
+})
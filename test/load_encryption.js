@@ -0,0 +1,354 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: encryption', () => {
+    const SAMPLE_KEY = Buffer.alloc(32, 7).toString('base64')
+    const OTHER_KEY = Buffer.alloc(32, 9).toString('hex')
+    const KEY_ENV = 'SEED_TEST_ENCRYPTION_KEY'
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            host: {type: 'string'},
+            password: {type: 'string'}
+        }
+    }
+    let encrypted
+    beforeEach(() => {
+        process.env[KEY_ENV] = SAMPLE_KEY
+        let encryption = {keyEnv: KEY_ENV}
+        encrypted = {
+            json: seed.encrypt(
+                '{"host": "db.local", "password": "secret"}',
+                encryption
+            ),
+            yaml: seed.encrypt('host: db.local\n', encryption),
+            production: seed.encrypt('{"host": "prod.local"}', encryption)
+        }
+        mockFs({
+            'data/config.json.enc': mockFs.file({
+                mode: 0o600,
+                content: encrypted.json
+            }),
+            'data/config.yaml.enc': mockFs.file({
+                mode: 0o600,
+                content: encrypted.yaml
+            }),
+            'key': mockFs.file({
+                mode: 0o600,
+                content: `${SAMPLE_KEY}\n`
+            }),
+            'open_key': mockFs.file({
+                mode: 0o644,
+                content: SAMPLE_KEY
+            }),
+            'other_key': mockFs.file({
+                mode: 0o600,
+                content: OTHER_KEY
+            }),
+            'bad_key': mockFs.file({
+                mode: 0o600,
+                content: 'abc'
+            }),
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"host": "plain.local"}'
+            }),
+            '/etc/foo/config.json.enc': mockFs.file({
+                mode: 0o600,
+                content: encrypted.json
+            }),
+            '/etc/foo/config.production.json.enc': mockFs.file({
+                mode: 0o600,
+                content: encrypted.production
+            })
+        })
+    })
+    afterEach(() => {
+        mockFs.restore()
+        delete process.env[KEY_ENV]
+    })
+    it('key from environment variable, return configuration', () => {
+        let config = seed.load({
+            identity: 'foo',
+            filePath: 'data/config.json.enc',
+            schema: SAMPLE_SCHEMA,
+            encryption: {keyEnv: KEY_ENV}
+        })
+        assert.deepStrictEqual(config, {
+            host: 'db.local',
+            password: 'secret'
+        })
+    })
+    it('key from file, parse by format of decrypted content', async() => {
+        let config = await seed.loadAsync({
+            identity: 'foo',
+            filePath: 'data/config.yaml.enc',
+            encryption: {keyFile: 'key'}
+        })
+        assert.deepStrictEqual(config, {host: 'db.local'})
+    })
+    it('standard encrypted file is tried before plain file', () => {
+        let options = {
+            identity: 'foo',
+            profile: null,
+            encryption: {keyFile: 'key'}
+        }
+        assert.deepStrictEqual(seed.which(options).filePaths, [
+            '/etc/foo/config.json.enc'
+        ])
+        assert.deepStrictEqual(seed.load(options), {
+            host: 'db.local',
+            password: 'secret'
+        })
+    })
+    it('standard encrypted files are not tried without encryption', () => {
+        let config = seed.load({identity: 'foo', profile: null})
+        assert.deepStrictEqual(config, {host: 'plain.local'})
+    })
+    it('merge encrypted profile file', () => {
+        let config = seed.load({
+            identity: 'foo',
+            profile: 'production',
+            encryption: {keyEnv: KEY_ENV}
+        })
+        assert.deepStrictEqual(config, {
+            host: 'prod.local',
+            password: 'secret'
+        })
+    })
+    it('wrong key, throws error', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyFile: 'other_key'}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'can not decrypt file',
+                filePath: 'data/config.json.enc',
+                labels: {
+                    reason: 'wrong key or corrupted data'
+                }
+            }
+        )
+    })
+    it('corrupted content, throws error', async() => {
+        let data = Buffer.from(encrypted.json)
+        data[data.length - 1] ^= 1
+        mockFs({
+            'data/config.json.enc': mockFs.file({mode: 0o600, content: data})
+        })
+        await assert.rejects(
+            () => seed.loadAsync({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyEnv: KEY_ENV}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'can not decrypt file',
+                filePath: 'data/config.json.enc',
+                labels: {
+                    reason: 'wrong key or corrupted data'
+                }
+            }
+        )
+    })
+    it('plain file with extension .enc, throws error', () => {
+        mockFs({
+            'data/config.json.enc': mockFs.file({
+                mode: 0o600,
+                content: '{"host": "db.local"}'
+            })
+        })
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyEnv: KEY_ENV}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'can not decrypt file',
+                filePath: 'data/config.json.enc',
+                labels: {
+                    reason: 'bad header'
+                }
+            }
+        )
+    })
+    it('unsupported version of header, throws error', () => {
+        let data = Buffer.from(encrypted.json)
+        data[4] = 2
+        mockFs({
+            'data/config.json.enc': mockFs.file({mode: 0o600, content: data})
+        })
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyEnv: KEY_ENV}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'can not decrypt file',
+                filePath: 'data/config.json.enc',
+                labels: {
+                    reason: 'unsupported version',
+                    version: 2
+                }
+            }
+        )
+    })
+    it('no option encryption, throws error', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc'
+            }),
+            {
+                name: 'LoadingError',
+                message: 'no encryption key',
+                filePath: 'data/config.json.enc',
+                labels: {}
+            }
+        )
+    })
+    it('environment variable is not set, throws error', () => {
+        delete process.env[KEY_ENV]
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyEnv: KEY_ENV}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'no encryption key',
+                filePath: 'data/config.json.enc',
+                labels: {
+                    keyEnv: KEY_ENV
+                }
+            }
+        )
+    })
+    it('invalid key in file, throws error', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyFile: 'bad_key'}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'invalid encryption key',
+                filePath: 'bad_key',
+                labels: {}
+            }
+        )
+    })
+    it('key file permission is too open, throws error', async() => {
+        await assert.rejects(
+            () => seed.loadAsync({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyFile: 'open_key'}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                filePath: 'open_key',
+                labels: {
+                    upperBoundary: '0o600',
+                    actual: '0o644'
+                }
+            }
+        )
+    })
+    it('key file is not existed, throws error', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyFile: 'missing_key'}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'file is not existed or access denied',
+                filePath: 'missing_key'
+            }
+        )
+    })
+    it('invalid option encryption, throws error', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                encryption: {keyEnv: KEY_ENV, keyFile: 'key'}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: encryption'
+            }
+        )
+    })
+    it('save encrypted file, throws error', () => {
+        assert.throws(
+            () => seed.save({host: 'db.local'}, {
+                identity: 'foo',
+                filePath: 'data/config.json.enc',
+                encryption: {keyEnv: KEY_ENV}
+            }),
+            {
+                name: 'LoadingError',
+                message: 'can not write encrypted file',
+                filePath: 'data/config.json.enc'
+            }
+        )
+    })
+})
+describe('seed.decrypt', () => {
+    const SAMPLE_KEY = Buffer.alloc(32, 7).toString('hex')
+    beforeEach(() => {
+        mockFs({
+            'key': mockFs.file({
+                mode: 0o600,
+                content: SAMPLE_KEY
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('decrypt content from encrypt(), return the content', () => {
+        let encryption = {keyFile: 'key'}
+        let data = seed.encrypt('{"a": 1}', encryption)
+        assert.strictEqual(data.subarray(0, 4).toString(), 'SEED')
+        assert.strictEqual(seed.decrypt(data, encryption), '{"a": 1}')
+    })
+    it('bad header, throws error', () => {
+        assert.throws(
+            () => seed.decrypt(Buffer.from('{}'), {keyFile: 'key'}),
+            {
+                name: 'LoadingError',
+                message: 'can not decrypt file',
+                filePath: undefined,
+                labels: {
+                    reason: 'bad header'
+                }
+            }
+        )
+    })
+    it('invalid option encryption, throws error', () => {
+        assert.throws(
+            () => seed.encrypt('{}', {}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: encryption'
+            }
+        )
+    })
+})
@@ -0,0 +1,134 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {setVariables} = require('./_lib')
+
+describe('seed.load: environment variables', () => {
+    let previousVariables = {}
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            name: {type: 'string'},
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer'},
+                    maxConnections: {type: 'number'},
+                    secure: {type: 'boolean'}
+                }
+            },
+            servers: {
+                type: 'array',
+                items: {type: 'integer'}
+            }
+        }
+    }
+    beforeEach(() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"name": "foo", "db": {"host": "file.host"}}'
+            })
+        })
+    })
+    afterEach(() => {
+        mockFs.restore()
+        setVariables(previousVariables)
+        previousVariables = {}
+    })
+    it('override attributes and coerce types', () => {
+        previousVariables = setVariables({
+            MYAPP_DB__HOST: 'env.host',
+            MYAPP_DB__PORT: '5432',
+            MYAPP_DB__MAXCONNECTIONS: '1.5',
+            MYAPP_DB__SECURE: 'true',
+            MYAPP_SERVERS: '1, 2,3'
+        })
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            env: {prefix: 'MYAPP'}
+        }
+        let expectedResult = {
+            name: 'foo',
+            db: {
+                host: 'env.host',
+                port: 5432,
+                maxConnections: 1.5,
+                secure: true
+            },
+            servers: [1, 2, 3]
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('custom separator', () => {
+        previousVariables = setVariables({
+            MYAPP_DB_PORT: '5432'
+        })
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            env: {prefix: 'MYAPP', separator: '_'}
+        }
+        let actualResult = seed.load(options)
+        assert.strictEqual(actualResult.db.port, 5432)
+    })
+    it('no configuration file, load from variables only', async() => {
+        mockFs({})
+        previousVariables = setVariables({
+            MYAPP_NAME: 'env.name'
+        })
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            env: {prefix: 'MYAPP'}
+        }
+        let actualResult = await seed.loadAsync(options)
+        assert.deepStrictEqual(actualResult, {name: 'env.name'})
+    })
+    it('value is not convertible, throws error', () => {
+        previousVariables = setVariables({
+            MYAPP_DB__PORT: 'abc'
+        })
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            env: {prefix: 'MYAPP'}
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                labels: {
+                    instancePath: '/db/port',
+                    keyword: 'type',
+                    params: {
+                        type: 'integer'
+                    },
+                    schemaPath: '#/properties/db/properties/port/type',
+                    message: 'must be integer'
+                }
+            }
+        )
+    })
+    it('invalid env, throws error', () => {
+        let options = {
+            identity: 'foo',
+            env: {prefix: 'MY-APP'}
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: env'
+            }
+        )
+    })
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: layered mode', () => {
+    let cwdFilePath = 'config.json'
+    let userFilePath = path.join(os.homedir(), '.config/foo/config.json')
+    let systemFilePath = '/etc/foo/config.json'
+    let schema = {
+        type: 'object',
+        required: ['db', 'servers'],
+        properties: {
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer'}
+                }
+            },
+            servers: {
+                type: 'array',
+                items: {type: 'string'}
+            }
+        }
+    }
+    beforeEach(() => {
+        mockFs({
+            [cwdFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"port": 3000}, "servers": ["cwd"]}'
+            }),
+            [userFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"host": "user.host"}}'
+            }),
+            [systemFilePath]: mockFs.file({
+                mode: 0o600,
+                content: `{
+                    "db": {"host": "system.host", "port": 1000},
+                    "servers": ["system"]
+                }`
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('merge all files, replace arrays', () => {
+        let options = {
+            identity: 'foo',
+            layered: true,
+            schema: schema
+        }
+        let expectedResult = {
+            db: {
+                host: 'user.host',
+                port: 3000
+            },
+            servers: ['cwd']
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('merge all files, concatenate arrays', () => {
+        let options = {
+            identity: 'foo',
+            layered: true,
+            arrayMerge: 'concat'
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult.servers, ['system', 'cwd'])
+    })
+    it('merge all files asynchronously', async() => {
+        let options = {
+            identity: 'foo',
+            layered: true
+        }
+        let actualResult = await seed.loadAsync(options)
+        assert.deepStrictEqual(actualResult.db, {
+            host: 'user.host',
+            port: 3000
+        })
+    })
+    it('merged configuration is invalid, throws error', () => {
+        let options = {
+            identity: 'foo',
+            layered: true,
+            schema: {
+                type: 'object',
+                required: ['name']
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                filePath: undefined
+            }
+        )
+    })
+    it('one of files is invalid, throws error', () => {
+        mockFs({
+            [userFilePath]: mockFs.file({
+                mode: 0o644,
+                content: '{}'
+            }),
+            [systemFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            layered: true
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                filePath: userFilePath
+            }
+        )
+    })
+    it('invalid arrayMerge, throws error', () => {
+        let options = {
+            identity: 'foo',
+            layered: true,
+            arrayMerge: 'foo'
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: arrayMerge'
+            }
+        )
+    })
+})
@@ -0,0 +1,309 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: migration', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            version: {const: 3},
+            database: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer'}
+                }
+            }
+        }
+    }
+    const SAMPLE_MIGRATIONS = {
+        1: data => {
+            let {dbHost, ...others} = data
+            return {...others, db: {host: dbHost}}
+        },
+        2: data => {
+            data.database = data.db
+            delete data.db
+            return data
+        }
+    }
+    const VERSION_1_CONTENT = '{\n' +
+        '  // Server name.\n' +
+        '  "name": "foo",\n' +
+        '  "dbHost": "db.local"\n' +
+        '}\n'
+    beforeEach(() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"version": 2, "db": {"host": "db.local"}}'
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('upgrade older file before validation', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA,
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS
+            }
+        }
+        let expectedResult = {
+            version: 3,
+            database: {host: 'db.local'}
+        }
+        assert.deepStrictEqual(seed.load(options), expectedResult)
+        let content = fs.readFileSync('config.json', 'utf-8')
+        let expectedContent = '{"version": 2, "db": {"host": "db.local"}}'
+        assert.strictEqual(content, expectedContent)
+    })
+    it('file without version, upgrade from version 1', async() => {
+        mockFs({
+            'config.yaml': mockFs.file({
+                mode: 0o600,
+                content: 'dbHost: db.local\nport: 1\n'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.yaml',
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS
+            }
+        }
+        let expectedResult = {
+            port: 1,
+            version: 3,
+            database: {host: 'db.local'}
+        }
+        assert.deepStrictEqual(await seed.loadAsync(options), expectedResult)
+    })
+    it('write back, keep comments', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: VERSION_1_CONTENT
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS,
+                writeBack: true
+            }
+        }
+        let config = seed.load(options)
+        let expectedContent = '{\n' +
+            '  // Server name.\n' +
+            '  "name": "foo",\n' +
+            '  "database": {\n' +
+            '    "host": "db.local"\n' +
+            '  },\n' +
+            '  "version": 3\n' +
+            '}\n'
+        assert.strictEqual(config.database.host, 'db.local')
+        assert.strictEqual(
+            fs.readFileSync('config.json', 'utf-8'),
+            expectedContent
+        )
+        assert.strictEqual(fs.statSync('config.json').mode & 0o777, 0o600)
+    })
+    it('write back, invalid configuration, file is not changed', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: VERSION_1_CONTENT
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: {...SAMPLE_SCHEMA, required: ['port']},
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS,
+                writeBack: true
+            }
+        }
+        assert.throws(() => seed.load(options), {message: 'bad attribute'})
+        assert.strictEqual(
+            fs.readFileSync('config.json', 'utf-8'),
+            VERSION_1_CONTENT
+        )
+    })
+    it('write back async, invalid configuration, file is kept', async() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: VERSION_1_CONTENT
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: {...SAMPLE_SCHEMA, required: ['port']},
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS,
+                writeBack: true
+            }
+        }
+        await assert.rejects(
+            () => seed.loadAsync(options),
+            {message: 'bad attribute'}
+        )
+        assert.strictEqual(
+            fs.readFileSync('config.json', 'utf-8'),
+            VERSION_1_CONTENT
+        )
+    })
+    it('write back async, current version, file is not changed', async() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"version": 3}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS,
+                writeBack: true
+            }
+        }
+        assert.deepStrictEqual(await seed.loadAsync(options), {version: 3})
+        assert.strictEqual(
+            fs.readFileSync('config.json', 'utf-8'),
+            '{"version": 3}'
+        )
+    })
+    it('newer version, throws error', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"version": 4}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            migration: {
+                version: 3,
+                migrations: SAMPLE_MIGRATIONS
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'unsupported configuration version',
+                filePath: 'config.json',
+                labels: {
+                    version: 4,
+                    currentVersion: 3
+                }
+            }
+        )
+    })
+    it('missing migration, throws error', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            migration: {
+                version: 3,
+                migrations: {1: SAMPLE_MIGRATIONS[1]}
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'unsupported configuration version',
+                filePath: 'config.json',
+                labels: {
+                    version: 2,
+                    currentVersion: 3
+                }
+            }
+        )
+    })
+    it('invalid version in file, throws error', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"version": "2"}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            migration: {version: 3}
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid configuration version',
+                filePath: 'config.json',
+                labels: {version: '2'}
+            }
+        )
+    })
+    it('migration throws error, throws error', async() => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            migration: {
+                version: 3,
+                migrations: {
+                    2: () => {
+                        throw new Error('bad data')
+                    }
+                }
+            }
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'migration failed',
+                filePath: 'config.json',
+                labels: {
+                    version: 2,
+                    reason: 'bad data'
+                }
+            }
+        )
+    })
+    it('invalid option migration, throws error', () => {
+        let options = {
+            identity: 'foo',
+            migration: {
+                version: 2,
+                migrations: {2: data => data}
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: migration'
+            }
+        )
+    })
+})
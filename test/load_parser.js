@@ -0,0 +1,189 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {getDataFilePath} = require('./_lib')
+
+describe('seed.load: file formats', () => {
+    it('YAML, return valid configuration', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('valid.yaml')
+        }
+        let expectedResult = {
+            name: 'name.foo',
+            age: 18,
+            friends: ['foo', 'bar']
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('TOML, return valid configuration', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('valid.toml')
+        }
+        let expectedResult = {
+            name: 'name.foo',
+            age: 18,
+            friends: ['foo', 'bar']
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('INI, return valid configuration', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('valid.ini')
+        }
+        let expectedResult = {
+            name: 'name.foo',
+            address: {
+                city: 'city.bar'
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('invalid YAML format, throws error', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('invalid_format.yaml')
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid YAML format',
+                labels: {
+                    line: 2,
+                    column: 0
+                }
+            }
+        )
+    })
+    it('invalid TOML format, throws error', () => {
+        let options = {
+            identity: 'foo',
+            filePath: getDataFilePath('invalid_format.toml')
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid TOML format',
+                labels: {
+                    line: 2,
+                    column: 6
+                }
+            }
+        )
+    })
+})
+describe('seed.load: custom parsers', () => {
+    afterEach(() => mockFs.restore())
+    it('parse by custom parser', () => {
+        mockFs({
+            'config.conf': mockFs.file({
+                mode: 0o600,
+                content: 'name=foo'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.conf',
+            parsers: {
+                '.conf': data => {
+                    let [key, value] = data.split('=')
+                    return {[key]: value}
+                }
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, {name: 'foo'})
+    })
+    it('custom parser throws error, throws error', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            parsers: {
+                '.json': () => {
+                    throw Object.assign(new Error(), {line: 3, column: 1})
+                }
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid format',
+                filePath: 'config.json',
+                labels: {
+                    line: 3,
+                    column: 1
+                }
+            }
+        )
+    })
+    it('invalid parsers, throws error', () => {
+        let options = {
+            identity: 'foo',
+            parsers: {
+                conf: () => {}
+            }
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: parsers'
+            }
+        )
+    })
+})
+describe('seed.load: standard YAML and TOML files', () => {
+    let userFilePath = path.join(os.homedir(), '.config/foo/config.yaml')
+    let systemFilePath = '/etc/foo/config.toml'
+    beforeEach(() => {
+        mockFs({
+            [userFilePath]: mockFs.file({
+                mode: 0o600,
+                content: 'db:\n  host: user.host\n'
+            }),
+            [systemFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '[db]\nhost = "system.host"\nport = 3000\n'
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('load the first one', async() => {
+        let actualResult = await seed.loadAsync({identity: 'foo'})
+        assert.deepStrictEqual(actualResult, {db: {host: 'user.host'}})
+    })
+    it('merge all of them in layered mode', () => {
+        let options = {
+            identity: 'foo',
+            layered: true
+        }
+        let expectedResult = {
+            db: {
+                host: 'user.host',
+                port: 3000
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
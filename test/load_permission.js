@@ -0,0 +1,125 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+/**
+ *
+ * @param {number} mode - Mode of file `config.json`.
+ */
+function mockConfigurationFile(mode) {
+    mockFs({
+        'config.json': mockFs.file({
+            mode,
+            content: '{"name": "foo"}'
+        })
+    })
+}
+
+describe('seed.load: file permission', () => {
+    afterEach(() => mockFs.restore())
+    it('permission bits are a subset, return configuration', () => {
+        mockConfigurationFile(0o400)
+        let actualResult = seed.load({identity: 'foo'})
+        assert.deepStrictEqual(actualResult, {name: 'foo'})
+    })
+    it('permission is less but has other bits, throws error', () => {
+        mockConfigurationFile(0o477)
+        assert.throws(
+            () => seed.load({identity: 'foo'}),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                filePath: './config.json',
+                labels: {
+                    upperBoundary: '0o600',
+                    actual: '0o477'
+                }
+            }
+        )
+    })
+    it('policy allows the permission, return configuration', () => {
+        mockConfigurationFile(0o540)
+        let options = {
+            identity: 'foo',
+            filePermission: {
+                forbidden: 0o022,
+                user: 0o7,
+                group: 0o5,
+                other: 0
+            }
+        }
+        assert.deepStrictEqual(seed.load(options), {name: 'foo'})
+    })
+    it('policy forbids the permission, throws error', async() => {
+        mockConfigurationFile(0o660)
+        let options = {
+            identity: 'foo',
+            filePermission: {
+                forbidden: 0o022,
+                other: 0
+            }
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                labels: {
+                    allowed: '0o750',
+                    actual: '0o660'
+                }
+            }
+        )
+    })
+    it('fix permission, change it and report in metadata', () => {
+        mockConfigurationFile(0o644)
+        let options = {
+            identity: 'foo',
+            fixPermission: true,
+            metadata: true
+        }
+        let expectedResult = {
+            config: {name: 'foo'},
+            metadata: {
+                filePaths: ['./config.json'],
+                permissionFixes: [
+                    {filePath: './config.json', from: 0o644, to: 0o600}
+                ]
+            }
+        }
+        assert.deepStrictEqual(seed.load(options), expectedResult)
+        assert.strictEqual(fs.statSync('config.json').mode & 0o777, 0o600)
+    })
+    it('fix permission asynchronously', async() => {
+        mockConfigurationFile(0o755)
+        let options = {
+            identity: 'foo',
+            filePermission: {group: 0o4, other: 0},
+            fixPermission: true,
+            metadata: true
+        }
+        let {metadata} = await seed.loadAsync(options)
+        assert.deepStrictEqual(metadata.permissionFixes, [
+            {filePath: './config.json', from: 0o755, to: 0o740}
+        ])
+        assert.strictEqual(fs.statSync('config.json').mode & 0o777, 0o740)
+    })
+    it('invalid permission policy, throws error', () => {
+        let options = {
+            identity: 'foo',
+            filePermission: {user: 0o10}
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: filePermission'
+            }
+        )
+    })
+})
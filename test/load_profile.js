@@ -0,0 +1,142 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: profiles', () => {
+    let userFilePath = path.join(os.homedir(), '.config/foo/config.json')
+    let userProfileFilePath = path.join(
+        os.homedir(),
+        '.config/foo/config.production.json'
+    )
+    let nodeEnv
+    beforeEach(() => {
+        nodeEnv = process.env.NODE_ENV
+        delete process.env.NODE_ENV
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"host": "local.host", "port": 3000}}'
+            }),
+            'config.production.json': mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"host": "production.host"}}'
+            }),
+            [userFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"user": "user.foo"}, "debug": false}'
+            }),
+            [userProfileFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"debug": true}'
+            })
+        })
+    })
+    afterEach(() => {
+        mockFs.restore()
+        if (nodeEnv === undefined) {
+            delete process.env.NODE_ENV
+        }
+        else {
+            process.env.NODE_ENV = nodeEnv
+        }
+    })
+    it('merge profile file on top of base file', () => {
+        let options = {
+            identity: 'foo',
+            profile: 'production'
+        }
+        let expectedResult = {
+            db: {
+                host: 'production.host',
+                port: 3000
+            }
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('profile from NODE_ENV', async() => {
+        process.env.NODE_ENV = 'production'
+        let actualResult = await seed.loadAsync({identity: 'foo'})
+        assert.strictEqual(actualResult.db.host, 'production.host')
+    })
+    it('profile is null, ignore NODE_ENV', () => {
+        process.env.NODE_ENV = 'production'
+        let actualResult = seed.load({identity: 'foo', profile: null})
+        assert.strictEqual(actualResult.db.host, 'local.host')
+    })
+    it('profile file is not existed, load base file only', () => {
+        let options = {
+            identity: 'foo',
+            profile: 'staging'
+        }
+        let actualResult = seed.load(options)
+        assert.strictEqual(actualResult.db.host, 'local.host')
+    })
+    it('profile file next to specific file path', () => {
+        let options = {
+            identity: 'foo',
+            filePath: userFilePath,
+            profile: 'production'
+        }
+        let expectedResult = {
+            db: {
+                user: 'user.foo'
+            },
+            debug: true
+        }
+        let actualResult = seed.load(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('layered mode, merge profile file in each location', async() => {
+        let options = {
+            identity: 'foo',
+            layered: true,
+            profile: 'production'
+        }
+        let expectedResult = {
+            db: {
+                host: 'production.host',
+                port: 3000,
+                user: 'user.foo'
+            },
+            debug: true
+        }
+        let actualResult = await seed.loadAsync(options)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('profile file permission is too open, throws error', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{}'
+            }),
+            'config.production.json': mockFs.file({
+                mode: 0o644,
+                content: '{}'
+            })
+        })
+        assert.throws(
+            () => seed.load({identity: 'foo', profile: 'production'}),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                filePath: './config.production.json'
+            }
+        )
+    })
+    it('invalid profile, throws error', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', profile: '../production'}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: profile'
+            }
+        )
+    })
+})
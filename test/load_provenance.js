@@ -0,0 +1,162 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: provenance', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            name: {type: 'string'},
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer'},
+                    user: {type: 'string'},
+                    timeout: {type: 'integer', default: 30}
+                }
+            },
+            servers: {
+                type: 'array',
+                items: {type: 'string'}
+            }
+        }
+    }
+    beforeEach(() => {
+        mockFs({
+            '/etc/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{\n' +
+                    '    "name": "system",\n' +
+                    '    "db": {"host": "system.host", "port": 3000}\n' +
+                    '}\n'
+            }),
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{\n' +
+                    '    // Local database.\n' +
+                    '    "db": {\n' +
+                    '        "port": 3306\n' +
+                    '    }\n' +
+                    '}\n'
+            }),
+            '/etc/xdg/foo/config.yaml': mockFs.file({
+                mode: 0o600,
+                content: 'servers:\n  - a.local\n  - b.local\n'
+            })
+        })
+    })
+    afterEach(() => {
+        mockFs.restore()
+        delete process.env.FOO_DB__USER
+    })
+    it('record source of each leaf', () => {
+        process.env.FOO_DB__USER = 'env.user'
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            layered: true,
+            env: {prefix: 'FOO'},
+            argv: ['--config.name', 'argv.name'],
+            defaultValues: {
+                'db.host': 'default.host',
+                'db.user': 'default.user'
+            },
+            provenance: true
+        }
+        let {metadata} = seed.load(options)
+        assert.deepStrictEqual(metadata.provenance, {
+            '/name': {source: 'argv', name: '--config.name'},
+            '/db/host': {
+                source: 'file',
+                filePath: '/etc/foo/config.json',
+                line: 3,
+                column: 19
+            },
+            '/db/port': {
+                source: 'file',
+                filePath: './config.json',
+                line: 4,
+                column: 16
+            },
+            '/db/user': {source: 'env', name: 'FOO_DB__USER'},
+            '/db/timeout': {source: 'schema'},
+            '/servers': {
+                source: 'file',
+                filePath: '/etc/xdg/foo/config.yaml'
+            }
+        })
+    })
+    it('explain an attribute path', async() => {
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            filePath: '/etc/foo/config.json',
+            defaultValues: {
+                'db.user': 'default.user'
+            },
+            provenance: true
+        }
+        let {config, explain} = await seed.loadAsync(options)
+        assert.strictEqual(config.db.user, 'default.user')
+        assert.deepStrictEqual(explain('db.user'), {source: 'defaultValues'})
+        assert.deepStrictEqual(explain(['db', 'port']), {
+            source: 'file',
+            filePath: '/etc/foo/config.json',
+            line: 3,
+            column: 42
+        })
+        assert.deepStrictEqual(explain('db.timeout'), {source: 'schema'})
+        assert.strictEqual(explain('db'), undefined)
+        assert.strictEqual(explain('unknown'), undefined)
+    })
+    it('a value replaces an object, record the value only', () => {
+        mockFs({
+            'low.json': mockFs.file({
+                mode: 0o600,
+                content: '{"db": {"host": "low.host"}}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'low.json',
+            argv: ['--config.db', '{"port": 1}'],
+            schema: {
+                type: 'object',
+                properties: {
+                    db: {type: 'object'}
+                }
+            },
+            provenance: true
+        }
+        let {config, metadata} = seed.load(options)
+        assert.deepStrictEqual(config, {db: {port: 1}})
+        assert.deepStrictEqual(metadata.provenance, {
+            '/db/port': {source: 'argv', name: '--config.db'}
+        })
+    })
+    it('provenance is disabled by default', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json'
+        }
+        assert.deepStrictEqual(seed.load(options), {db: {port: 3306}})
+    })
+    it('invalid option provenance, throws error', () => {
+        let options = {
+            identity: 'foo',
+            provenance: 1
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: provenance'
+            }
+        )
+    })
+})
@@ -0,0 +1,114 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {setVariables} = require('./_lib')
+
+describe('seed.load: search paths', () => {
+    let previousVariables
+    beforeEach(() => {
+        previousVariables = setVariables({
+            XDG_CONFIG_HOME: '/home/foo/.xdg',
+            XDG_CONFIG_DIRS: '/opt/xdg:relative/xdg:/usr/local/xdg'
+        })
+        mockFs({
+            '/home/foo/.xdg/foo/config.yaml': mockFs.file({
+                mode: 0o600,
+                content: 'source: xdgConfigHome'
+            }),
+            '/usr/local/xdg/foo/config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"source": "xdgConfigDirs", "port": 80}'
+            }),
+            '/srv/foo/app.json': mockFs.file({
+                mode: 0o600,
+                content: '{"source": "srv"}'
+            })
+        })
+    })
+    afterEach(() => {
+        mockFs.restore()
+        setVariables(previousVariables)
+    })
+    it('follow XDG base directories', () => {
+        let {filePaths, skippedFilePaths} = seed.which({identity: 'foo'})
+        assert.deepStrictEqual(filePaths, ['/home/foo/.xdg/foo/config.yaml'])
+        assert.ok(skippedFilePaths.includes('/opt/xdg/foo/config.json'))
+        assert.ok(!skippedFilePaths.some(v => v.startsWith('relative')))
+    })
+    it('layered mode, merge XDG base directories', () => {
+        let options = {
+            identity: 'foo',
+            layered: true
+        }
+        let expectedResult = {
+            source: 'xdgConfigHome',
+            port: 80
+        }
+        assert.deepStrictEqual(seed.load(options), expectedResult)
+    })
+    it('custom search paths and file name', async() => {
+        let options = {
+            identity: 'foo',
+            searchPaths: [
+                '{xdgConfigHome}/{identity}/{fileName}',
+                '/srv/{identity}/{fileName}'
+            ],
+            fileName: 'app'
+        }
+        let actualResult = await seed.loadAsync(options)
+        assert.deepStrictEqual(actualResult, {source: 'srv'})
+    })
+    it('file name has extension, try it only', () => {
+        let options = {
+            identity: 'foo',
+            searchPaths: ['{xdgConfigDirs}/{identity}/{fileName}'],
+            fileName: 'config.json'
+        }
+        let {filePaths, skippedFilePaths} = seed.which(options)
+        assert.deepStrictEqual(filePaths, ['/usr/local/xdg/foo/config.json'])
+        assert.deepStrictEqual(skippedFilePaths, ['/opt/xdg/foo/config.json'])
+    })
+    it('no configuration file, report the first search path', () => {
+        let options = {
+            identity: 'bar',
+            searchPaths: ['~/.bar/{fileName}'],
+            fileName: 'bar.toml'
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'no configuration file',
+                filePath: path.join(os.homedir(), '.bar/bar.toml')
+            }
+        )
+    })
+    it('invalid search paths, throws error', () => {
+        let options = {
+            identity: 'foo',
+            searchPaths: ['/etc/{name}/{fileName}']
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: searchPaths'
+            }
+        )
+    })
+    it('invalid file name, throws error', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', fileName: '../config'}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: fileName'
+            }
+        )
+    })
+})
@@ -0,0 +1,148 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+/**
+ *
+ * Mock directory `/etc/foo`, root directory is not writable by others.
+ *
+ * @param {object} items - Entries of directory `/etc/foo`.
+ * @param {number} [mode=0o755] - Mode of directory `/etc/foo`.
+ */
+function mockConfigurationDirectory(items, mode = 0o755) {
+    let etc = mockFs.directory({
+        mode: 0o755,
+        uid: 0,
+        items: {
+            foo: mockFs.directory({mode, uid: 0, items})
+        }
+    })
+    mockFs({'/etc': etc})
+    fs.chmodSync('/', 0o755)
+}
+
+describe('seed.load: trust checks', () => {
+    afterEach(() => mockFs.restore())
+    it('trusted file, return configuration', async() => {
+        mockConfigurationDirectory({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                uid: process.getuid(),
+                content: '{"name": "foo"}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            trust: {}
+        }
+        assert.deepStrictEqual(seed.load(options), {name: 'foo'})
+        assert.deepStrictEqual(await seed.loadAsync(options), {name: 'foo'})
+    })
+    it('untrusted owner, throws error', async() => {
+        mockConfigurationDirectory({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                uid: 1234,
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            trust: {owners: [0, 1000]}
+        }
+        let expectedError = {
+            name: 'LoadingError',
+            message: 'untrusted file owner',
+            filePath: '/etc/foo/config.json',
+            labels: {
+                owner: 1234,
+                allowedOwners: [0, 1000]
+            }
+        }
+        assert.throws(() => seed.load(options), expectedError)
+        await assert.rejects(seed.loadAsync(options), expectedError)
+    })
+    it('file is writable by group, throws error', () => {
+        mockConfigurationDirectory({
+            'config.json': mockFs.file({
+                mode: 0o620,
+                uid: process.getuid(),
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            filePermission: 0o660,
+            trust: {}
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'file is writable by group or others',
+                labels: {
+                    actual: '0o620'
+                }
+            }
+        )
+    })
+    it('parent directory is writable by others, throws error', async() => {
+        let items = {
+            'config.json': mockFs.file({
+                mode: 0o600,
+                uid: process.getuid(),
+                content: '{}'
+            })
+        }
+        mockConfigurationDirectory(items, 0o777)
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            trust: {}
+        }
+        await assert.rejects(
+            seed.loadAsync(options),
+            {
+                name: 'LoadingError',
+                message: 'directory is writable by others',
+                labels: {
+                    directory: '/etc/foo',
+                    actual: '0o777'
+                }
+            }
+        )
+    })
+    it('parent directory has sticky bit, return configuration', () => {
+        let items = {
+            'config.json': mockFs.file({
+                mode: 0o600,
+                uid: process.getuid(),
+                content: '{}'
+            })
+        }
+        mockConfigurationDirectory(items, 0o1777)
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.json',
+            trust: {}
+        }
+        assert.deepStrictEqual(seed.load(options), {})
+    })
+    it('invalid trust option, throws error', () => {
+        assert.throws(
+            () => seed.load({identity: 'foo', trust: {owners: [-1]}}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: trust'
+            }
+        )
+    })
+})
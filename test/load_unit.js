@@ -0,0 +1,298 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.load: keyword unit', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            timeout: {unit: 'duration', default: '30s'},
+            interval: {unit: 'duration'},
+            cache: {
+                type: 'object',
+                properties: {
+                    size: {unit: 'bytes'},
+                    limits: {
+                        type: 'array',
+                        items: {unit: 'bytes'}
+                    }
+                }
+            },
+            retry: {
+                anyOf: [
+                    {type: 'boolean'},
+                    {unit: 'duration'}
+                ]
+            }
+        }
+    }
+    const SAMPLE_CONTENT = JSON.stringify({
+        interval: '1h30m',
+        cache: {size: '512MB', limits: ['1KiB', '2048']},
+        retry: 'PT1M30.5S'
+    })
+    beforeEach(() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: SAMPLE_CONTENT
+            }),
+            'invalid.json': mockFs.file({
+                mode: 0o600,
+                content: '{\n    "timeout": "5 minutes"\n}\n'
+            }),
+            'saved.json': mockFs.file({
+                mode: 0o600,
+                content: '{\n    // Timeout.\n    "timeout": "30s",\n' +
+                    '    "interval": "1h"\n}\n'
+            })
+        })
+    })
+    afterEach(() => {
+        mockFs.restore()
+        delete process.env.FOO_TIMEOUT
+    })
+    it('convert values to milliseconds and bytes', () => {
+        let config = seed.load({
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA
+        })
+        assert.deepStrictEqual(config, {
+            timeout: 30000,
+            interval: 5400000,
+            cache: {size: 512000000, limits: [1024, 2048]},
+            retry: 90500
+        })
+    })
+    it('convert values from environment variables', async() => {
+        process.env.FOO_TIMEOUT = '1.5s'
+        let config = await seed.loadAsync({
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA,
+            env: {prefix: 'FOO'}
+        })
+        assert.strictEqual(config.timeout, 1500)
+    })
+    it('default values are converted, they are not modified', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA,
+            defaultValues: {
+                cache: {size: '1KB'}
+            }
+        }
+        mockFs({
+            'config.json': mockFs.file({mode: 0o600, content: '{}'})
+        })
+        assert.deepStrictEqual(seed.load(options).cache, {size: 1000})
+        assert.deepStrictEqual(seed.load(options).cache, {size: 1000})
+        assert.deepStrictEqual(options.defaultValues, {
+            cache: {size: '1KB'}
+        })
+    })
+    it('invalid duration, throws error', () => {
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'invalid.json',
+                schema: SAMPLE_SCHEMA,
+                allErrors: true
+            }),
+            {
+                name: 'LoadingError',
+                code: 'E_SCHEMA',
+                message: 'bad attribute',
+                filePath: 'invalid.json',
+                labels: {
+                    errors: [
+                        {
+                            instancePath: '/timeout',
+                            schemaPath: '#/properties/timeout/unit',
+                            keyword: 'unit',
+                            params: {unit: 'duration'},
+                            message: 'must be duration',
+                            filePath: 'invalid.json',
+                            line: 2,
+                            column: 15
+                        }
+                    ]
+                }
+            }
+        )
+    })
+    it('invalid sizes, throws error', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            allErrors: true
+        })
+        let config = {cache: {size: '1.5B', limits: ['1XB', -1, 1.5]}}
+        assert.throws(
+            () => loader.validate(config),
+            error => {
+                let paths = error.labels.errors.map(v => v.instancePath)
+                assert.deepStrictEqual(paths, [
+                    '/cache/size',
+                    '/cache/limits/0',
+                    '/cache/limits/1',
+                    '/cache/limits/2'
+                ])
+                return true
+            }
+        )
+    })
+    it('validate converted configuration, return the same', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA
+        })
+        let config = loader.load({filePath: 'config.json'})
+        assert.deepStrictEqual(loader.validate(config), config)
+        assert.deepStrictEqual(loader.validate({timeout: '2m'}), {
+            timeout: 120000
+        })
+    })
+    it('save loaded configuration, keep strings of unit', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'saved.json',
+            schema: SAMPLE_SCHEMA
+        }
+        let config = seed.load(options)
+        assert.deepStrictEqual(config, {timeout: 30000, interval: 3600000})
+        seed.save({...config, interval: 60000}, options)
+        assert.strictEqual(
+            fs.readFileSync('saved.json', 'utf-8'),
+            '{\n    // Timeout.\n    "timeout": "30s",\n' +
+                '    "interval": 60000\n}\n'
+        )
+    })
+    it('load then save, configuration is still valid', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'saved.json',
+            schema: {
+                type: 'object',
+                properties: {
+                    timeout: {unit: 'duration'},
+                    interval: {unit: 'duration'}
+                }
+            }
+        }
+        let loader = seed.createLoader(options)
+        let config = loader.load()
+        assert.deepStrictEqual(loader.validate(config), config)
+        seed.save(config, options)
+        assert.deepStrictEqual(seed.load(options), config)
+        assert.strictEqual(
+            fs.readFileSync('saved.json', 'utf-8'),
+            '{\n    // Timeout.\n    "timeout": "30s",\n' +
+                '    "interval": "1h"\n}\n'
+        )
+    })
+    it('ISO 8601 duration has years, throws error', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA
+        })
+        assert.throws(
+            () => loader.validate({interval: 'P1Y'}),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                labels: {
+                    instancePath: '/interval',
+                    schemaPath: '#/properties/interval/unit',
+                    keyword: 'unit',
+                    params: {unit: 'duration'},
+                    message: 'must be duration'
+                }
+            }
+        )
+    })
+    it('format duration, keep strings', () => {
+        let config = seed.createLoader({
+            identity: 'foo',
+            schema: {
+                type: 'object',
+                properties: {
+                    period: {type: 'string', format: 'duration'}
+                }
+            }
+        }).validate({period: 'P1Y'})
+        assert.deepStrictEqual(config, {period: 'P1Y'})
+    })
+    it('type does not accept numbers, throws error', () => {
+        assert.throws(
+            () => seed.createLoader({
+                identity: 'foo',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        timeout: {type: 'string', unit: 'duration'}
+                    }
+                }
+            }),
+            {
+                name: 'LoadingError',
+                code: 'E_INVALID_OPTION',
+                message: 'bad schema',
+                labels: {
+                    message: 'keyword "unit" value is invalid at path ' +
+                        '"#/properties/timeout": keyword type must accept ' +
+                        'number'
+                }
+            }
+        )
+    })
+    it('unit under $ref, throws error', () => {
+        let schema = {
+            type: 'object',
+            definitions: {
+                timeout: {$ref: '#/definitions/duration'},
+                duration: {unit: 'duration'}
+            },
+            properties: {
+                timeout: {$ref: '#/definitions/timeout'}
+            }
+        }
+        assert.throws(
+            () => seed.load({
+                identity: 'foo',
+                filePath: 'config.json',
+                schema
+            }),
+            {
+                name: 'LoadingError',
+                code: 'E_INVALID_OPTION',
+                message: 'bad schema',
+                labels: {
+                    message: 'keyword "unit" value is invalid at path ' +
+                        '"#/definitions/timeout": keyword unit is not ' +
+                        'supported under $ref'
+                }
+            }
+        )
+    })
+    it('unknown unit, throws error', () => {
+        assert.throws(
+            () => seed.createLoader({
+                identity: 'foo',
+                schema: {unit: 'seconds'}
+            }),
+            {
+                name: 'LoadingError',
+                code: 'E_INVALID_OPTION',
+                message: 'bad schema'
+            }
+        )
+    })
+})
@@ -0,0 +1,222 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+const {catchError} = require('./_lib')
+
+describe('seed.createLoader', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            name: {type: 'string', format: 'service-name'},
+            port: {type: 'integer', default: 8080},
+            replicas: {type: 'integer', even: true}
+        }
+    }
+    const SAMPLE_FORMATS = {
+        'service-name': /^[a-z]+$/
+    }
+    const SAMPLE_KEYWORDS = [
+        {
+            keyword: 'even',
+            type: 'number',
+            schemaType: 'boolean',
+            validate: (schema, data) => !schema || data % 2 === 0
+        }
+    ]
+    beforeEach(() => {
+        mockFs({
+            'a.json': mockFs.file({
+                mode: 0o600,
+                content: '{"name": "foo", "replicas": 2}'
+            }),
+            'b.json': mockFs.file({
+                mode: 0o600,
+                content: '{"name": "bar", "port": 9000}'
+            }),
+            'bad.json': mockFs.file({
+                mode: 0o600,
+                content: '{"replicas": 3}'
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('load many files by one loader', async() => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            formats: SAMPLE_FORMATS,
+            keywords: SAMPLE_KEYWORDS
+        })
+        assert.deepStrictEqual(
+            loader.load({filePath: 'a.json'}),
+            {name: 'foo', replicas: 2, port: 8080}
+        )
+        assert.deepStrictEqual(
+            await loader.loadAsync({filePath: 'b.json'}),
+            {name: 'bar', port: 9000}
+        )
+    })
+    it('custom keyword, throws error', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            filePath: 'bad.json',
+            schema: SAMPLE_SCHEMA,
+            formats: SAMPLE_FORMATS,
+            keywords: SAMPLE_KEYWORDS
+        })
+        assert.throws(
+            () => loader.load(),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                filePath: 'bad.json',
+                labels: {
+                    instancePath: '/replicas',
+                    schemaPath: '#/properties/replicas/even',
+                    keyword: 'even',
+                    params: {},
+                    message: 'must pass "even" keyword validation'
+                }
+            }
+        )
+    })
+    it('validate a copy of configuration', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA,
+            formats: SAMPLE_FORMATS,
+            keywords: SAMPLE_KEYWORDS
+        })
+        let config = {name: 'foo'}
+        assert.deepStrictEqual(
+            loader.validate(config),
+            {name: 'foo', port: 8080}
+        )
+        assert.deepStrictEqual(config, {name: 'foo'})
+        assert.throws(
+            () => loader.validate({name: 'Foo'}),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                filePath: undefined,
+                labels: {
+                    instancePath: '/name',
+                    schemaPath: '#/properties/name/format',
+                    keyword: 'format',
+                    params: {format: 'service-name'},
+                    message: 'must match format "service-name"'
+                }
+            }
+        )
+    })
+    it('ajv options', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: {
+                type: 'object',
+                properties: {
+                    port: {type: 'integer', default: 8080}
+                }
+            },
+            ajvOptions: {useDefaults: false}
+        })
+        assert.deepStrictEqual(loader.validate({}), {})
+    })
+    it('ajv option verbose, secret values are redacted', () => {
+        let loader = seed.createLoader({
+            identity: 'foo',
+            schema: {
+                type: 'object',
+                required: ['user'],
+                properties: {
+                    user: {type: 'string'},
+                    password: {type: 'string', writeOnly: true, minLength: 8}
+                }
+            },
+            ajvOptions: {verbose: true},
+            allErrors: true
+        })
+        let error = catchError(() => loader.validate({password: '12345'}))
+        let [missingUser, shortPassword] = error.labels.errors
+        assert.deepStrictEqual(missingUser.data, {password: '[REDACTED]'})
+        assert.strictEqual(shortPassword.data, '[REDACTED]')
+        assert.strictEqual(shortPassword.parentSchema, '[REDACTED]')
+        assert.ok(!error.format().includes('12345'))
+    })
+    it('no identity, validate configuration', () => {
+        let loader = seed.createLoader({
+            schema: {
+                type: 'object',
+                properties: {
+                    port: {type: 'integer', default: 8080}
+                }
+            },
+            formats: {'service-name': /^[a-z]+$/}
+        })
+        assert.deepStrictEqual(loader.validate({}), {port: 8080})
+        assert.throws(
+            () => loader.load(),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: identity'
+            }
+        )
+    })
+    it('loadAsync with unknown option, rejects error', async() => {
+        let loader = seed.createLoader({identity: 'foo'})
+        let promise = loader.loadAsync({nope: 1})
+        await assert.rejects(promise, {
+            name: 'LoadingError',
+            message: 'unknown option: nope'
+        })
+    })
+    it('unknown format, throws error', () => {
+        assert.throws(
+            () => seed.createLoader({
+                identity: 'foo',
+                schema: SAMPLE_SCHEMA
+            }),
+            {
+                name: 'LoadingError',
+                message: 'bad schema',
+                filePath: undefined
+            }
+        )
+    })
+    it('override schema, throws error', () => {
+        let loader = seed.createLoader({identity: 'foo'})
+        assert.throws(
+            () => loader.load({schema: {}}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: schema'
+            }
+        )
+    })
+    it('invalid option keywords, throws error', () => {
+        assert.throws(
+            () => seed.createLoader({identity: 'foo', keywords: [{}]}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: keywords'
+            }
+        )
+    })
+    it('bad ajv options, throws error', () => {
+        let keyword = {keyword: 'type'}
+        assert.throws(
+            () => seed.createLoader({identity: 'foo', keywords: [keyword]}),
+            {
+                name: 'LoadingError',
+                message: 'bad ajv options',
+                labels: {
+                    message: 'Keyword type is already defined'
+                }
+            }
+        )
+    })
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.redact', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string'},
+                    password: {type: 'string', writeOnly: true}
+                }
+            },
+            apiKeys: {
+                type: 'array',
+                items: {type: 'string', secret: true}
+            },
+            tls: {
+                secret: true,
+                type: 'object'
+            },
+            tokens: {
+                type: 'object',
+                additionalProperties: {
+                    allOf: [{type: 'string'}, {secret: true}]
+                }
+            },
+            mode: {
+                type: 'string',
+                secret: true,
+                enum: ['hunter2', 'swordfish']
+            }
+        }
+    }
+    const SAMPLE_CONFIG = {
+        db: {host: 'db.host', password: 'db.password'},
+        apiKeys: ['key.1', 'key.2'],
+        tls: {key: 'tls.key', cert: 'tls.cert'},
+        tokens: {github: 'github.token'},
+        name: 'foo'
+    }
+    afterEach(() => mockFs.restore())
+    it('mask secret values', () => {
+        let expectedResult = {
+            db: {host: 'db.host', password: '[REDACTED]'},
+            apiKeys: ['[REDACTED]', '[REDACTED]'],
+            tls: '[REDACTED]',
+            tokens: {github: '[REDACTED]'},
+            name: 'foo'
+        }
+        let result = seed.redact(SAMPLE_CONFIG, SAMPLE_SCHEMA)
+        assert.deepStrictEqual(result, expectedResult)
+        assert.strictEqual(SAMPLE_CONFIG.db.password, 'db.password')
+    })
+    it('no schema, nothing is masked', () => {
+        let result = seed.redact(SAMPLE_CONFIG)
+        assert.deepStrictEqual(result, SAMPLE_CONFIG)
+    })
+    it('accessor, toSafeJSON() masks secret values', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: JSON.stringify(SAMPLE_CONFIG)
+            })
+        })
+        let accessor = seed.load({
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA,
+            accessor: true
+        })
+        assert.strictEqual(accessor.get('db.password'), 'db.password')
+        assert.deepStrictEqual(accessor.toSafeJSON().db, {
+            host: 'db.host',
+            password: '[REDACTED]'
+        })
+    })
+    it('violation of secret value, labels do not echo allowed values', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: '{"mode": "hunter3"}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA,
+            allErrors: true
+        }
+        assert.throws(
+            () => seed.load(options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                filePath: 'config.json',
+                labels: {
+                    errors: [{
+                        instancePath: '/mode',
+                        schemaPath: '#/properties/mode/enum',
+                        keyword: 'enum',
+                        params: {allowedValues: '[REDACTED]'},
+                        message: 'must be equal to one of the allowed values',
+                        filePath: 'config.json',
+                        line: 1,
+                        column: 9
+                    }]
+                }
+            }
+        )
+    })
+})
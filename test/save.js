@@ -0,0 +1,193 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.save', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            name: {type: 'string'},
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string'},
+                    port: {type: 'integer', default: 3306}
+                }
+            }
+        }
+    }
+    const SAMPLE_CONTENT = '{\n' +
+        '  // Name of the service.\n' +
+        '  "name": "foo",\n' +
+        '  "db": {\n' +
+        '    /* Database host. */\n' +
+        '    "host": "db.local"\n' +
+        '  },\n' +
+        '  // Removed attribute.\n' +
+        '  "legacy": true\n' +
+        '}\n'
+    beforeEach(() => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: SAMPLE_CONTENT
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('keep comments of existed attributes', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA
+        }
+        let config = seed.load(options)
+        delete config.legacy
+        config.db.host = 'new.host'
+        config.timeout = 10
+        let expectedContent = '{\n' +
+            '  // Name of the service.\n' +
+            '  "name": "foo",\n' +
+            '  "db": {\n' +
+            '    /* Database host. */\n' +
+            '    "host": "new.host",\n' +
+            '    "port": 3306\n' +
+            '  },\n' +
+            '  "timeout": 10\n' +
+            '}\n'
+        assert.strictEqual(seed.save(config, options), 'config.json')
+        assert.strictEqual(
+            fs.readFileSync('config.json', 'utf-8'),
+            expectedContent
+        )
+        assert.deepStrictEqual(fs.readdirSync('.'), ['config.json'])
+    })
+    it('write to standard configuration file', async() => {
+        let filePath = path.join(os.homedir(), '.config/foo/config.json')
+        mockFs({
+            [filePath]: mockFs.file({
+                mode: 0o600,
+                content: '{"name": "foo"}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA
+        }
+        let result = await seed.saveAsync({name: 'bar'}, options)
+        assert.strictEqual(result, filePath)
+        assert.strictEqual(
+            fs.readFileSync(filePath, 'utf-8'),
+            '{\n    "name": "bar"\n}'
+        )
+    })
+    it('create new file by file permission', async() => {
+        mockFs({})
+        let options = {
+            identity: 'foo',
+            filePath: 'new.json',
+            filePermission: 0o640
+        }
+        await seed.saveAsync({name: 'foo'}, options)
+        assert.strictEqual(
+            fs.readFileSync('new.json', 'utf-8'),
+            '{\n    "name": "foo"\n}\n'
+        )
+        assert.strictEqual(fs.statSync('new.json').mode & 0o777, 0o640)
+    })
+    it('keep permission of existed file', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o400,
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json'
+        }
+        seed.save({name: 'foo'}, options)
+        assert.strictEqual(fs.statSync('config.json').mode & 0o777, 0o400)
+    })
+    it('invalid configuration, throws error and keep the file', () => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json',
+            schema: SAMPLE_SCHEMA
+        }
+        assert.throws(
+            () => seed.save({name: 1}, options),
+            {
+                name: 'LoadingError',
+                message: 'bad attribute',
+                filePath: 'config.json',
+                labels: {
+                    instancePath: '/name',
+                    schemaPath: '#/properties/name/type',
+                    keyword: 'type',
+                    params: {type: 'string'},
+                    message: 'must be string'
+                }
+            }
+        )
+        assert.strictEqual(
+            fs.readFileSync('config.json', 'utf-8'),
+            SAMPLE_CONTENT
+        )
+    })
+    it('file permission is too open, throws error', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o644,
+                content: '{}'
+            })
+        })
+        let options = {
+            identity: 'foo',
+            filePath: 'config.json'
+        }
+        assert.throws(
+            () => seed.save({}, options),
+            {
+                name: 'LoadingError',
+                message: 'file permission is too open',
+                filePath: 'config.json'
+            }
+        )
+    })
+    it('not a JSON file, throws error', async() => {
+        let options = {
+            identity: 'foo',
+            filePath: 'config.yaml'
+        }
+        await assert.rejects(
+            seed.saveAsync({}, options),
+            {
+                name: 'LoadingError',
+                message: 'not a JSON file',
+                filePath: 'config.yaml'
+            }
+        )
+    })
+    it('no standard configuration file, throws error', () => {
+        mockFs({})
+        let options = {
+            identity: 'foo'
+        }
+        assert.throws(
+            () => seed.save({}, options),
+            {
+                name: 'LoadingError',
+                message: 'no configuration file',
+                filePath: './config.json'
+            }
+        )
+    })
+})
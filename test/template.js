@@ -0,0 +1,100 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.generateTemplate', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        description: 'Configuration of foo.',
+        required: ['port'],
+        properties: {
+            port: {
+                type: 'integer',
+                description: 'Port of HTTP server.',
+                minimum: 1,
+                default: 8080
+            },
+            db: {
+                type: 'object',
+                properties: {
+                    host: {type: 'string', format: 'hostname'},
+                    mode: {enum: ['primary', 'replica']}
+                }
+            },
+            tags: {
+                type: 'array',
+                items: {type: 'string'}
+            },
+            timeout: {unit: 'duration'},
+            cacheSize: {unit: 'bytes'}
+        }
+    }
+    afterEach(() => mockFs.restore())
+    it('return configuration with comments', () => {
+        let defaultValues = {'db.host': 'localhost'}
+        let actualResult = seed.generateTemplate(SAMPLE_SCHEMA, defaultValues)
+        let expectedResult = [
+            '// Configuration of foo.',
+            '{',
+            '    // Port of HTTP server.',
+            '    // type: integer, required',
+            '    // minimum: 1',
+            '    // default: 8080',
+            '    "port": 8080,',
+            '    // type: object',
+            '    "db": {',
+            '        // type: string',
+            '        // format: "hostname"',
+            '        // default: "localhost"',
+            '        "host": "localhost",',
+            '        // enum: ["primary","replica"]',
+            '        "mode": "primary"',
+            '    },',
+            '    // type: array',
+            '    "tags": [],',
+            '    // unit: "duration"',
+            '    "timeout": "0s",',
+            '    // unit: "bytes"',
+            '    "cacheSize": "0B"',
+            '}',
+            ''
+        ].join('\n')
+        assert.strictEqual(actualResult, expectedResult)
+    })
+    it('template is loaded as valid configuration', () => {
+        mockFs({
+            'config.json': mockFs.file({
+                mode: 0o600,
+                content: seed.generateTemplate(
+                    SAMPLE_SCHEMA,
+                    {'db.host': 'localhost'}
+                )
+            })
+        })
+        let options = {
+            identity: 'foo',
+            schema: SAMPLE_SCHEMA
+        }
+        let expectedResult = {
+            port: 8080,
+            db: {host: 'localhost', mode: 'primary'},
+            tags: [],
+            timeout: 0,
+            cacheSize: 0
+        }
+        assert.deepStrictEqual(seed.load(options), expectedResult)
+    })
+    it('invalid schema, throws error', () => {
+        assert.throws(
+            () => seed.generateTemplate([]),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: schema'
+            }
+        )
+    })
+})
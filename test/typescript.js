@@ -0,0 +1,98 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const seed = require('../lib')
+
+describe('seed.generateTypes', () => {
+    it('object schema, return interface', () => {
+        let schema = {
+            type: 'object',
+            description: 'Configuration of foo.',
+            required: ['name'],
+            additionalProperties: false,
+            properties: {
+                name: {type: 'string'},
+                port: {
+                    type: 'integer',
+                    description: 'Port of HTTP server.',
+                    default: 8080
+                },
+                'log-level': {enum: ['debug', 'info']},
+                db: {
+                    type: 'object',
+                    required: ['host'],
+                    properties: {
+                        host: {type: 'string'},
+                        replicas: {
+                            type: 'array',
+                            items: {type: ['string', 'null']}
+                        }
+                    }
+                },
+                labels: {
+                    type: 'object',
+                    additionalProperties: {type: 'string'}
+                }
+            }
+        }
+        let expectedResult = [
+            '/** Configuration of foo. */',
+            'export interface Config {',
+            '    name: string',
+            '    /** Port of HTTP server. */',
+            '    port: number',
+            '    "log-level"?: "debug" | "info"',
+            '    db?: {',
+            '        host: string',
+            '        replicas?: Array<string | null>',
+            '    }',
+            '    labels?: {',
+            '        [key: string]: string',
+            '    }',
+            '}',
+            ''
+        ].join('\n')
+        let actualResult = seed.generateTypes(schema, 'Config')
+        assert.strictEqual(actualResult, expectedResult)
+    })
+    it('non object schema, return type alias', () => {
+        let schema = {
+            anyOf: [
+                {type: 'array', items: {type: 'integer'}},
+                {type: ['string', 'boolean']}
+            ]
+        }
+        let expectedResult =
+            'export type Configuration = Array<number> | (string | boolean)\n'
+        assert.strictEqual(seed.generateTypes(schema), expectedResult)
+    })
+    it('keyword unit, return number', () => {
+        let schema = {
+            type: 'object',
+            required: ['timeout'],
+            properties: {
+                timeout: {unit: 'duration'},
+                size: {unit: 'bytes', default: '1MB'}
+            }
+        }
+        let expectedResult = [
+            'export interface Configuration {',
+            '    timeout: number',
+            '    size: number',
+            '}',
+            ''
+        ].join('\n')
+        assert.strictEqual(seed.generateTypes(schema), expectedResult)
+    })
+    it('invalid type name, throws error', () => {
+        assert.throws(
+            () => seed.generateTypes({}, 'my-config'),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: typeName'
+            }
+        )
+    })
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {once} = require('events')
+const seed = require('../lib')
+const {removeDirectory} = require('./_lib')
+
+/**
+ *
+ * @param {number} milliseconds
+ * @return {Promise<void>}
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds))
+}
+
+describe('seed.watch', () => {
+    const SAMPLE_SCHEMA = {
+        type: 'object',
+        required: ['port'],
+        properties: {
+            port: {type: 'integer'}
+        }
+    }
+    let directory
+    let filePath
+    let watcher
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-'))
+        filePath = path.join(directory, 'config.json')
+        fs.writeFileSync(filePath, '{"port": 80}', {mode: 0o600})
+        watcher = seed.watch(
+            {
+                identity: 'foo',
+                filePath: filePath,
+                schema: SAMPLE_SCHEMA
+            },
+            {
+                interval: 10
+            }
+        )
+    })
+    afterEach(() => {
+        watcher.close()
+        removeDirectory(directory)
+    })
+    it('load configuration at first', () => {
+        assert.deepStrictEqual(watcher.config, {port: 80})
+        assert.deepStrictEqual(watcher.filePaths, [filePath])
+    })
+    it('file is changed, emit new configuration', async() => {
+        let changed = once(watcher, 'change')
+        await sleep(50)
+        fs.writeFileSync(filePath, '{"port": 8080}')
+        let [config] = await changed
+        assert.deepStrictEqual(config, {port: 8080})
+        assert.deepStrictEqual(watcher.config, {port: 8080})
+    })
+    it('file is invalid, emit error and keep last valid one', async() => {
+        let failed = new Promise(resolve => watcher.on('error', resolve))
+        await sleep(50)
+        fs.writeFileSync(filePath, '{"port": "abc"}')
+        let error = await failed
+        assert.strictEqual(error.name, 'LoadingError')
+        assert.strictEqual(error.message, 'bad attribute')
+        assert.strictEqual(error.filePath, filePath)
+        assert.deepStrictEqual(watcher.config, {port: 80})
+    })
+    it('invalid watch options, throws error', () => {
+        assert.throws(
+            () => seed.watch({identity: 'foo'}, {interval: -1}),
+            {
+                name: 'LoadingError',
+                message: 'invalid option: watchOptions'
+            }
+        )
+    })
+})
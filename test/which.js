@@ -0,0 +1,61 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const mockFs = require('mock-fs')
+const seed = require('../lib')
+
+describe('seed.which', () => {
+    let userFilePath = path.join(os.homedir(), '.config/foo/config.json')
+    beforeEach(() => {
+        mockFs({
+            [userFilePath]: mockFs.file({
+                mode: 0o600,
+                content: '{}'
+            }),
+            '/etc/foo/config.toml': mockFs.file({
+                mode: 0o600,
+                content: ''
+            })
+        })
+    })
+    afterEach(() => mockFs.restore())
+    it('return picked and skipped files', () => {
+        let {filePaths, skippedFilePaths} = seed.which({identity: 'foo'})
+        assert.deepStrictEqual(filePaths, [userFilePath])
+        assert.strictEqual(skippedFilePaths.length, 15)
+        assert.strictEqual(skippedFilePaths[0], './config.json')
+        assert.ok(skippedFilePaths.includes('/etc/foo/config.toml'))
+    })
+    it('layered mode, return all of existed files', () => {
+        let {filePaths} = seed.which({identity: 'foo', layered: true})
+        assert.deepStrictEqual(filePaths, [
+            '/etc/foo/config.toml',
+            userFilePath
+        ])
+    })
+    it('specific file path, return it', () => {
+        let options = {
+            identity: 'foo',
+            filePath: '/etc/foo/config.toml'
+        }
+        let expectedResult = {
+            filePaths: ['/etc/foo/config.toml'],
+            skippedFilePaths: []
+        }
+        assert.deepStrictEqual(seed.which(options), expectedResult)
+    })
+    it('no configuration file, throws error', () => {
+        assert.throws(
+            () => seed.which({identity: 'bar'}),
+            {
+                name: 'LoadingError',
+                message: 'no configuration file',
+                filePath: './config.json'
+            }
+        )
+    })
+})